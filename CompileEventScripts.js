@@ -0,0 +1,562 @@
+//=============================================================================
+//  CompileEventScripts.js
+//=============================================================================
+
+/*
+* Version v1.0.0
+* Last updated 10/19/26
+*/
+
+/*
+* @author DemiDawn
+*
+* A Node.js command that compiles an event script ahead of time into a standard
+* RMMV event command list, so the event can ship without being read at runtime.
+*
+*     node CompileEventScripts.js <script> [--project dir]
+*                                 [--common-event id] [--map id --event id [--page n]]
+*
+* With --common-event, the list replaces that common event's list in CommonEvents.json.
+* With --map and --event, it replaces the list of the event's page in that MapXXX.json.
+* Otherwise the list is printed.
+
+
+  ** Translation *
+
+Text:           Show Text (101/401), one message per line, like the reader.
+                Lone variables in braces, like {'v_gold'}, become \V[n].
+                Lines with anything else in braces, like formats or
+                conditional text, are filled in by the reader from a
+                Script (355).
+stateChoice:    Show Choices (102/402/404).
+stateIf, elif:  Conditional Branch (111/411/412), with elifs nested in the else.
+stateWhile:     Loop (112/413), breaking (113) once the condition is false.
+                RMMV loops have no limit on how many times they go round.
+break:          Break Loop (113).
+continue:       Jump to Label (119), to a Label (118) at the end of the
+                loop's block.
+setSwitch:      Control Switches (121).
+flipSwitch:     A Conditional Branch on the switch, then Control Switches.
+setVar:         Control Variables (122). Clamps are set from a Script
+                operand, since RMMV has no operation for them.
+stateCommand:   Plugin Command (356).
+openEvent:      The opened file, compiled in place. It's found the way the reader
+                finds it, next to the file opening it first.
+callMacro:      The macro, compiled in place with its arguments filled in.
+return:         Jump to Label (119), to a Label (118) at the end of the
+                file or macro it leaves.
+playBGM, wait,  The RMMV command each stands for, e.g. Play BGM (241),
+giveItem, ...:  Wait (230) or Change Items (126).
+pretext:        Added to the front of the next line of text.
+speaker:        The face and name box code of every Show Text after it in
+                the file, whichever branch it's in.
+background,     The background and position of every Show Text after it in
+position:       the block.
+linesPerPage:   Lines in a row in the block share a Show Text.
+
+Macros that call themselves can't be compiled, as every call is compiled in
+place. Neither can local variables, as RMMV has nowhere to keep them.
+
+Conditions and values that are a lone switch, a lone variable, a number or a
+simple comparison against a number use RMMV's own operands. Anything else is
+handed to the LogicEvaluator through a script.
+*/
+
+//=============================================================================
+//  Node Meta
+//=============================================================================
+
+let fs = require('fs');
+let path = require('path');
+let EventNodeContext = require('./EventNodeContext.js');
+
+// RMMV's codes for the comparisons a variable condition can make.
+let comparisons = { "==": 0, ">=": 1, "<=": 2, ">": 3, "<": 4, "!=": 5 };
+
+//=============================================================================
+//  Compiler
+//=============================================================================
+
+// Creating the wrapper object the user will interface with.
+function EventCompiler(projectDir) {
+	this.projectDir = projectDir;
+	this.context = EventNodeContext.createContext(projectDir);
+	this.system = this.context.$dataSystem;
+	this.pretext = "";
+	this.speaker = null;
+	this.message = this.context.EventReader.__defaultMessage();
+	this.pageLines = 0;
+
+	// The files and macros being compiled in place right now, innermost last.
+	// Each keeps its arguments, and the label a return jumps to.
+	this.calls = [];
+
+	// The loops being compiled right now, innermost last. Each keeps the label a continue jumps to.
+	this.loops = [];
+	this.labels = 0;
+}
+
+// Compiles an event file into an RMMV command list.
+EventCompiler.prototype.compileFile = function (filepath) {
+	let list = this.__compileFile(filepath, 0);
+	list.push(this.__command(0, 0, []));
+	return list;
+};
+
+// Compiles a file's body at the given indent.
+EventCompiler.prototype.__compileFile = function (filepath, indent) {
+	let script = this.__parseFile(filepath);
+	return this.__compileCall(script.file, script, script.body, {}, indent);
+};
+
+// Compiles the body of a file or macro in place, catching any that call each other.
+EventCompiler.prototype.__compileCall = function (name, script, body, args, indent) {
+	let names = this.calls.map(function (c) { return c.name; });
+	if (names.includes(name)) {
+		throw new this.context.EventError("CompileError", names.concat([name]).join(" -> ") + " call each other forever, so they can't be compiled in place.");
+	}
+
+	let call = { name: name, script: script, args: args, label: "EventReturn" + (++this.labels), returned: false };
+	this.calls.push(call);
+	let list = this.__compileBody(body, indent);
+	this.calls.pop();
+
+	// Returns need somewhere to land.
+	if (call.returned) { list.push(this.__command(118, indent, [call.label])); }
+	return list;
+};
+
+// Reads the syntax tree of an event file.
+EventCompiler.prototype.__parseFile = function (filepath) {
+	let file = path.relative(this.projectDir, filepath);
+	return this.context.EventParser.parse(this.context.EventReader.__processFile(filepath), file);
+};
+
+// Finds a file opened from the one being compiled, the way the reader would.
+EventCompiler.prototype.__resolveInclude = function (name) {
+	let current = path.join(this.projectDir, this.calls[this.calls.length - 1].script.file);
+	return this.context.EventReader.__resolveInclude(name, path.relative(process.cwd(), current));
+};
+
+// Fills in the arguments of the macro being compiled.
+EventCompiler.prototype.__substitute = function (text) {
+	return this.context.EventReader.__fillArgs(text, this.calls[this.calls.length - 1].args);
+};
+
+// Compiles a block of nodes. Errors are tagged with the line of the node that raised them.
+// Message window settings changed in the block only last until it ends, like they do in the reader.
+EventCompiler.prototype.__compileBody = function (body, indent) {
+	let list = [];
+	let message = Object.assign({}, this.message);
+	this.pageLines = 0;
+	body.forEach(function (node) {
+		if (node.type !== "Text") { this.pageLines = 0; }
+		try {
+			list = list.concat(this.nodes[node.type].call(this, node, indent));
+		} catch (e) {
+			throw this.context.EventError.from(e).locate(node);
+		}
+	}.bind(this));
+	this.message = message;
+	this.pageLines = 0;
+	return list;
+};
+
+// Builds a single RMMV command.
+EventCompiler.prototype.__command = function (code, indent, parameters) {
+	return { code: code, indent: indent, parameters: parameters };
+};
+
+//=============================================================================
+//  Compiler Nodes
+//=============================================================================
+
+// Prep the nodes wrapper. Each is keyed by the type of node the EventParser makes.
+EventCompiler.prototype.nodes = {};
+
+// A line of text gets its own message, as the reader gives every line its own page.
+EventCompiler.prototype.nodes.Text = function (node, indent) {
+	let reader = this.context.EventReader;
+	let text = this.__substitute(node.text);
+	let speaker = this.speaker || { name: "", faceName: "", faceIndex: 0 };
+	let start = "<WordWrap>" + (speaker.name ? reader.nameBoxFormat.replace("%1", speaker.name) : "") + this.pretext;
+	this.pretext = "";
+
+	// RMMV can show variables by itself, but anything more has to be worked out as the message is shown.
+	let pieces = reader.__splitInterpolation(text);
+	let shown = pieces.map(function (piece) { return this.__textPiece(piece); }.bind(this));
+	if (shown.includes(null)) {
+		this.pageLines = 0;
+		pieces.forEach(function (piece) {
+			if (typeof piece === "string") { return; }
+			reader.__pieceExpressions(piece).forEach(function (expression) {
+				this.__checkNames(this.context.LogicEvaluator.__validate(expression));
+			}.bind(this));
+		}.bind(this));
+		let face = speaker.faceName ? "$gameMessage.setFaceImage(" + JSON.stringify(speaker.faceName) + ", " + speaker.faceIndex + "); " : "";
+		let window = "$gameMessage.setBackground(" + this.message.background + "); $gameMessage.setPositionType(" + this.message.position + "); ";
+		return [this.__command(355, indent, [face + window + "$gameMessage.newPage(); $gameMessage.add(" + JSON.stringify(start) + 
+			" + EventReader.__interpolate(" + JSON.stringify(text) + ")); this.setWaitMode(\"message\");"])];
+	}
+
+	// Lines in a row can share the Show Text before them, if there's room on its page.
+	if (this.pageLines > 0 && this.pageLines < this.message.linesPerPage) {
+		this.pageLines++;
+		return [this.__command(401, indent, ["<br>" + shown.join("")])];
+	}
+	this.pageLines = 1;
+	return [
+		this.__command(101, indent, [speaker.faceName, speaker.faceIndex, this.message.background, this.message.position]),
+		this.__command(401, indent, [start + shown.join("")])
+	];
+};
+
+// Returns how a piece of a line shows in a Show Text, or null if RMMV can't show it by itself.
+EventCompiler.prototype.__textPiece = function (piece) {
+	if (typeof piece === "string") { return piece; }
+
+	let name = piece.branches ? null : this.__loneName(piece.expression.trim());
+	if (piece.branches || piece.formats.length > 0 || !name || !this.context.LogicEvaluator.__isRMMVVar(name)) { return null; }
+	return "\\V[" + this.__variableId(name) + "]";
+};
+
+// Commands that stand for RMMV commands are built the same way the reader builds them.
+EventCompiler.prototype.nodes.Command = function (node, indent) {
+	let reader = this.context.EventReader;
+	if (!this.commands[node.code] && !reader.rmmvCommands[node.code]) {
+		throw new this.context.EventError("CompileError", "there's no RMMV translation for " + node.code + ".");
+	}
+
+	let args = reader.__parseArgs(node.code, this.__substitute(node.args));
+	if (this.commands[node.code]) { return this.commands[node.code].call(this, args, indent); }
+	return reader.rmmvCommands[node.code](args).map(function (command) {
+		return this.__command(command.code, indent, command.parameters);
+	}.bind(this));
+};
+
+// Each branch after the first is nested in the else of the one before it.
+// A branch whose condition is just 'true' is an else, so it's compiled without a condition.
+EventCompiler.prototype.nodes.If = function (node, indent) {
+	return this.__compileBranches(node.branches, indent);
+};
+
+EventCompiler.prototype.__compileBranches = function (branches, indent) {
+	if (branches.length === 0) { return []; }
+
+	let branch = branches[0];
+	if (this.__substitute(branch.condition).trim() === "true") {
+		return this.__compileBody(branch.body, indent);
+	}
+
+	return [this.__command(111, indent, this.__condition(this.__substitute(branch.condition)))]
+		.concat(this.__compileBody(branch.body, indent + 1))
+		.concat([this.__command(0, indent + 1, []), this.__command(411, indent, [])])
+		.concat(this.__compileBranches(branches.slice(1), indent + 1))
+		.concat([this.__command(0, indent + 1, []), this.__command(412, indent, [])]);
+};
+
+// Loops check their condition at the top of each pass, breaking out once it's false.
+EventCompiler.prototype.nodes.While = function (node, indent) {
+	if (node.body.length === 0) { return []; }
+
+	let loop = { label: "EventContinue" + (++this.labels), continued: false };
+	this.loops.push(loop);
+	let body = this.__compileBody(node.body, indent + 2);
+	this.loops.pop();
+
+	// Continues need somewhere to land.
+	if (loop.continued) { body.push(this.__command(118, indent + 2, [loop.label])); }
+
+	return [this.__command(112, indent, []), this.__command(111, indent + 1, this.__condition(this.__substitute(node.condition)))]
+		.concat(body)
+		.concat([this.__command(0, indent + 2, []), this.__command(411, indent + 1, [])])
+		.concat([this.__command(113, indent + 2, []), this.__command(0, indent + 2, [])])
+		.concat([this.__command(412, indent + 1, []), this.__command(0, indent + 1, [])])
+		.concat([this.__command(413, indent, [])]);
+};
+
+// Every choice gets a branch, even if the script leaves its option empty.
+EventCompiler.prototype.nodes.Choice = function (node, indent) {
+	let reader = this.context.EventReader;
+	let args = reader.__splitChoices(this.__substitute(node.args));
+	let choices = args.map(function (a) { return reader.__formatVar(a); });
+	let defaultOption = Math.max(0, args.findIndex(function (a) { return reader.__isDefault(a); }));
+	let cancelOption = args.findIndex(function (a) { return reader.__isCancel(a); });
+
+	let list = [this.__command(102, indent, [choices, cancelOption, defaultOption, 2, 0])];
+	choices.forEach(function (choice, i) {
+		let option = node.options.find(function (o) { return o.index === i; });
+		list.push(this.__command(402, indent, [i, choice]));
+		list = list.concat(option ? this.__compileBody(option.body, indent + 1) : []);
+		list.push(this.__command(0, indent + 1, []));
+	}.bind(this));
+	list.push(this.__command(404, indent, []));
+
+	return list;
+};
+
+// Macros are compiled where they're called, not where they're defined.
+EventCompiler.prototype.nodes.Macro = function () {
+	return [];
+};
+
+//=============================================================================
+//  Compiler Commands
+//=============================================================================
+
+// Prep the commands wrapper. Each is keyed by the EventReader command it translates,
+// and is given the command's args already parsed by its schema.
+EventCompiler.prototype.commands = {};
+
+EventCompiler.prototype.commands.pretext = function (args) {
+	this.pretext = args.text;
+	return [];
+};
+
+EventCompiler.prototype.commands.speaker = function (args) {
+	let none = args.character.toLowerCase() === "none";
+	this.speaker = none ? null : this.context.EventReader.__resolveSpeaker({ character: args.character, expression: args.expression });
+	return [];
+};
+
+EventCompiler.prototype.commands.background = function (args) {
+	this.message.background = args.background;
+	return [];
+};
+
+EventCompiler.prototype.commands.position = function (args) {
+	this.message.position = args.position;
+	return [];
+};
+
+EventCompiler.prototype.commands.linesPerPage = function (args) {
+	this.message.linesPerPage = args.lines;
+	return [];
+};
+
+EventCompiler.prototype.commands.newPage = function () {
+	return [];
+};
+
+EventCompiler.prototype.commands.setSwitch = function (args, indent) {
+	let id = this.__switchId(args.switch);
+	return [this.__command(121, indent, [id, id, args.value ? 0 : 1])];
+};
+
+EventCompiler.prototype.commands.flipSwitch = function (args, indent) {
+	let id = this.__switchId(args.switch);
+	return [
+		this.__command(111, indent, [0, id, 0]),
+		this.__command(121, indent + 1, [id, id, 1]),
+		this.__command(0, indent + 1, []),
+		this.__command(411, indent, []),
+		this.__command(121, indent + 1, [id, id, 0]),
+		this.__command(0, indent + 1, []),
+		this.__command(412, indent, [])
+	];
+};
+
+EventCompiler.prototype.commands.setVar = function (args, indent) {
+	this.context.EventReader.__checkAssignment(args);
+	this.__checkNames([args.variable]);
+	let id = this.__variableId(args.variable);
+
+	// Operators without an operation of their own are set to the clamped value instead.
+	let operation = args.operator.code;
+	let operand = operation === null
+		? this.__operand("clamp('" + args.variable + "', " + args.value.join(", ") + ")")
+		: this.__operand(args.value[0]);
+	return [this.__command(122, indent, [id, id, operation || 0].concat(operand))];
+};
+
+EventCompiler.prototype.commands.stateCommand = function (args, indent) {
+	return [this.__command(356, indent, [args.command])];
+};
+
+EventCompiler.prototype.commands.openEvent = function (args, indent) {
+	return this.__compileFile(this.__resolveInclude(args.file), indent);
+};
+
+EventCompiler.prototype.commands.callMacro = function (args, indent) {
+	let name = args.macro;
+
+	// Macros in another file are named along with it, e.g. 'Shops.txt#greet'.
+	let script = this.calls[this.calls.length - 1].script;
+	let split = name.indexOf("#");
+	if (split !== -1) {
+		script = this.__parseFile(this.__resolveInclude(name.substring(0, split)));
+		name = name.substring(split + 1);
+	}
+
+	let macro = script.macros[name];
+	if (!macro) {
+		throw new this.context.EventError("DataNotFound", "there's no macro named '" + name + "' in " + script.file + ".");
+	} else if (args.args.length !== macro.params.length) {
+		throw new this.context.EventError("InvalidInputError", "macro '" + name + "' takes " + macro.params.length + " arguments, but was given " + args.args.length + ".");
+	}
+
+	let values = {};
+	macro.params.forEach(function (param, i) { values[param] = args.args[i].replace(/^"(.*)"$/, "$1"); });
+	return this.__compileCall(script.file + "#" + name, script, macro.body, values, indent);
+};
+
+EventCompiler.prototype.commands.break = function (args, indent) {
+	return [this.__command(113, indent, [])];
+};
+
+EventCompiler.prototype.commands.continue = function (args, indent) {
+	let loop = this.loops[this.loops.length - 1];
+	loop.continued = true;
+	return [this.__command(119, indent, [loop.label])];
+};
+
+EventCompiler.prototype.commands.return = function (args, indent) {
+	let call = this.calls[this.calls.length - 1];
+	call.returned = true;
+	return [this.__command(119, indent, [call.label])];
+};
+
+//=============================================================================
+//  Compiler Helper Functions
+//=============================================================================
+
+// Returns the parameters of a Conditional Branch for a LogicEvaluator statement.
+EventCompiler.prototype.__condition = function (statement) {
+	let logic = statement.trim();
+	let evaluator = this.context.LogicEvaluator;
+	this.__checkNames(evaluator.__validate(logic));
+
+	// A lone switch.
+	let name = this.__loneName(logic);
+	if (name && evaluator.__isRMMVSwitch(name)) {
+		return [0, this.__switchId(name), 0];
+	}
+
+	// A variable compared against a number.
+	let match = logic.match(/^'([^']+)'\s*(==|!=|>=|<=|>|<)\s*(-?\d+(\.\d+)?)$/);
+	if (match && evaluator.__isRMMVVar(match[1])) {
+		return [1, this.__variableId(match[1]), 0, Number(match[3]), comparisons[match[2]]];
+	}
+
+	// Anything else is evaluated at runtime, matching the reader's check for a true boolean.
+	return [12, "LogicEvaluator.__evaluateLogic(" + JSON.stringify(logic) + ") === true"];
+};
+
+// Returns the operand type and operand of a Control Variables for a LogicEvaluator statement.
+EventCompiler.prototype.__operand = function (statement) {
+	let logic = statement.trim();
+	let evaluator = this.context.LogicEvaluator;
+	this.__checkNames(evaluator.__validate(logic));
+
+	if (/^-?\d+$/.test(logic)) { return [0, Number(logic)]; }
+
+	let name = this.__loneName(logic);
+	if (name && evaluator.__isRMMVVar(name)) { return [1, this.__variableId(name)]; }
+
+	return [4, "LogicEvaluator.__evaluateLogic(" + JSON.stringify(logic) + ")"];
+};
+
+// Makes sure every name has an RMMV switch or variable to compile to.
+EventCompiler.prototype.__checkNames = function (names) {
+	let local = names.find(function (n) { return this.context.LogicEvaluator.__isLocalVar(n); }.bind(this));
+	if (local) {
+		throw new this.context.EventError("CompileError", "the local variable '" + local + "' has no RMMV variable to compile to.");
+	}
+};
+
+// Returns the name a statement is made of, if it's nothing but a single quoted name.
+EventCompiler.prototype.__loneName = function (logic) {
+	let match = logic.match(/^'([^']+)'$/);
+	return match ? match[1] : null;
+};
+
+EventCompiler.prototype.__switchId = function (name) {
+	let id = this.system.switches.indexOf(name);
+	if (id === -1) { throw new this.context.EventError("DataNotFound", "requested switch '" + name + "' wasn't found!"); }
+	return id;
+};
+
+EventCompiler.prototype.__variableId = function (name) {
+	let id = this.system.variables.indexOf(name);
+	if (id === -1) { throw new this.context.EventError("DataNotFound", "requested variable '" + name + "' wasn't found!"); }
+	return id;
+};
+
+//=============================================================================
+//  Data File Output
+//=============================================================================
+
+// Writes a list into a common event, creating the common event if it doesn't exist yet.
+function writeCommonEvent(projectDir, id, name, list) {
+	let filepath = path.join(projectDir, "data", "CommonEvents.json");
+	let commonEvents = JSON.parse(fs.readFileSync(filepath, "utf8"));
+	while (commonEvents.length <= id) {
+		commonEvents.push({ id: commonEvents.length, list: [], name: "", switchId: 1, trigger: 0 });
+	}
+	commonEvents[id].list = list;
+	if (!commonEvents[id].name) { commonEvents[id].name = name; }
+	fs.writeFileSync(filepath, __stringifyArray(commonEvents));
+}
+
+// Writes a list into the page of an event on a map.
+function writeMapEvent(projectDir, mapId, eventId, page, list) {
+	let filepath = path.join(projectDir, "data", "Map" + String(mapId).padStart(3, "0") + ".json");
+	let map = JSON.parse(fs.readFileSync(filepath, "utf8"));
+	let theEvent = map.events[eventId];
+	if (!theEvent || !theEvent.pages[page]) {
+		throw new Error("DataNotFound:  map " + mapId + " has no event " + eventId + " with a page " + page + ".");
+	}
+	theEvent.pages[page].list = list;
+	fs.writeFileSync(filepath, JSON.stringify(map));
+}
+
+// Writes an array with one entry per line, the way RMMV lays out its database files.
+function __stringifyArray(array) {
+	return "[\n" + array.map(function (e) { return JSON.stringify(e); }).join(",\n") + "\n]";
+}
+
+//=============================================================================
+//  Command Line
+//=============================================================================
+
+// Sorts the command line into the script and its options.
+function __parseArgs(argv) {
+	let args = { script: null, projectDir: ".", commonEvent: null, map: null, event: null, page: 0 };
+	for (let i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case "--project": args.projectDir = argv[++i]; break;
+			case "--common-event": args.commonEvent = Number(argv[++i]); break;
+			case "--map": args.map = Number(argv[++i]); break;
+			case "--event": args.event = Number(argv[++i]); break;
+			case "--page": args.page = Number(argv[++i]); break;
+			default: args.script = argv[i];
+		}
+	}
+	return args;
+}
+
+if (require.main === module) {
+	let args = __parseArgs(process.argv.slice(2));
+	let projectDir = path.resolve(args.projectDir);
+	try {
+		let list = new EventCompiler(projectDir).compileFile(path.resolve(args.script));
+		if (args.commonEvent !== null) {
+			writeCommonEvent(projectDir, args.commonEvent, path.basename(args.script, ".txt"), list);
+		} else if (args.map !== null && args.event !== null) {
+			writeMapEvent(projectDir, args.map, args.event, args.page, list);
+		} else {
+			console.log(JSON.stringify(list));
+		}
+	} catch (e) {
+
+		// Errors are printed as they read, e.g. 'Beach.txt:42: SyntaxError:  ...', rather than field by field.
+		console.error(e.message);
+		process.exit(1);
+	}
+}
+
+module.exports = {
+	EventCompiler: EventCompiler,
+	writeCommonEvent: writeCommonEvent,
+	writeMapEvent: writeMapEvent
+};
@@ -0,0 +1,632 @@
+//=============================================================================
+//  DecompileRMMVEvents.js
+//=============================================================================
+
+/*
+* Version v1.0.0
+* Last updated 10/19/26
+*/
+
+/*
+* @author DemiDawn
+*
+* A Node.js command that turns events made in the RMMV editor into event scripts
+* the EventReader can run.
+*
+*     node DecompileRMMVEvents.js [--project dir] [--out dir] [--map id] [--common-event id]
+*
+* Every common event and every page of every map event with commands is written
+* to its own file, unless a map or common event is picked. Files go in the
+* 'decompiled' folder by default. They're kept out of js/events so the
+* EventSelector doesn't mistake them for events it should pick from.
+
+
+  ** Translation *
+
+Show Text:              A line of text per message. Braces are doubled, so the
+                        reader shows them rather than filling them in, and
+                        lines the reader would take for a command, comment
+                        or blank line get a '\' in front of them. Faces
+                        found in js/characters.json become speakers, and
+                        backgrounds and positions become window commands.
+Comment:                A '//' comment per line.
+Show Choices:           stateChoice, with each branch as an option.
+Conditional Branch:     stateIf, with else branches holding a single
+                        Conditional Branch flattened into elifs.
+Loop:                   stateWhile, with its condition when it's the shape the
+                        compiler makes, or 'stateWhile: true' otherwise. The
+                        reader stops loops that go round EventReader.
+                        maxLoopIterations times without waiting on the game.
+Break Loop:             break.
+Jump to Label:          continue, when it jumps to the end of the loop it's
+                        in, or return, when it jumps to the end of the event.
+Label:                  A '// Label:' comment, or nothing, for the one at the
+                        end of the event that returns land on.
+Control Switches:       setSwitch.
+Control Variables:      setVar.
+Plugin Command:         stateCommand.
+Script:                 A line of text, if the compiler made it from one.
+
+Anything else, or anything using data the EventReader can't name, is handed to
+RMMV as is through 'stateCommand: EventReaderCommand [...]'. RMMV runs what's
+handed to it on its own, so a break or jump in it can't reach a loop or label
+outside of it. Those, and jumps with no translation, stop the decompiler with
+an error naming the command, rather than quietly doing nothing in game.
+*/
+
+//=============================================================================
+//  Node Meta
+//=============================================================================
+
+let fs = require('fs');
+let path = require('path');
+let EventNodeContext = require('./EventNodeContext.js');
+
+// RMMV's comparisons for variable conditions, by the code it gives each one.
+let comparisons = ["==", ">=", "<=", ">", "<", "!="];
+
+// RMMV's operations for Control Variables, by the code it gives each one.
+// Those setVar has operators for are written with them, the rest as the sum they stand for.
+let operations = ["", "+", "-", "*", "/", "%"];
+let assignments = ["|", "+=", "-=", "*="];
+
+// Codes at or above this continue the command before them, like the lines of a message or a branch.
+let continuationCode = 400;
+
+// The scripts the compiler writes for statements RMMV can't check natively.
+let compiledCondition = /^LogicEvaluator\.__evaluateLogic\(("(?:[^"\\]|\\.)*")\) === true$/;
+let compiledOperand = /^LogicEvaluator\.__evaluateLogic\(("(?:[^"\\]|\\.)*")\)$/;
+let compiledMessage = /^(?:\$gameMessage\.setFaceImage\(("(?:[^"\\]|\\.)*"), (\d+)\); )?(?:\$gameMessage\.setBackground\((\d)\); \$gameMessage\.setPositionType\((\d)\); )?\$gameMessage\.newPage\(\); \$gameMessage\.add\(("(?:[^"\\]|\\.)*") \+ EventReader\.__interpolate\(("(?:[^"\\]|\\.)*")\)\); this\.setWaitMode\("message"\);$/;
+
+//=============================================================================
+//  Decompiler
+//=============================================================================
+
+// Creating the wrapper object the user will interface with.
+function EventDecompiler(projectDir) {
+	this.projectDir = projectDir;
+	this.context = EventNodeContext.createContext(projectDir);
+	this.system = this.context.$dataSystem;
+
+	// Characters are optional. Without them, faces are only noted in comments.
+	let characterFile = path.join(projectDir, "js", "characters.json");
+	this.characters = fs.existsSync(characterFile) ? JSON.parse(fs.readFileSync(characterFile, "utf8")) : {};
+
+	// The speaker command in effect, or undefined when it depends on which branch the event took.
+	this.speaker = "none";
+
+	// The message window settings in effect. Like the reader's, they're put back once a block ends.
+	this.message = this.context.EventReader.__defaultMessage();
+
+	// The labels a continue jumps to in the loops being decompiled, innermost last. Null for a loop without one.
+	this.loops = [];
+
+	// The label at the very end of the list that a return jumps to, if there is one.
+	this.returnLabel = null;
+
+	// What the list being decompiled is, for naming it in errors, e.g. 'common event 3'.
+	this.source = "the list";
+}
+
+// Decompiles an RMMV command list into the text of an event script.
+// Throws if the list has jumps or breaks the reader couldn't follow, naming the source given for it.
+EventDecompiler.prototype.decompileList = function (list, source) {
+	this.speaker = "none";
+	this.message = this.context.EventReader.__defaultMessage();
+	this.loops = [];
+	this.source = source || "the list";
+
+	// Returns land on a Label after everything else in the list.
+	let end = list.length;
+	while (end > 0 && list[end - 1].code === 0) { end--; }
+	let last = list[end - 1];
+	this.returnLabel = last && last.code === 118 && last.indent === 0 ? last.parameters[0] : null;
+
+	return this.__decompileRange(list, 0, list.length).join("\n") + "\n";
+};
+
+// Decompiles the commands from start up to, but not including, end.
+EventDecompiler.prototype.__decompileRange = function (list, start, end) {
+	let lines = [];
+	let i = start;
+	while (i < end) {
+		let command = list[i];
+		let translate = this.codes[command.code];
+		let next = translate ? translate.call(this, list, i, lines) : -1;
+
+		// Anything that couldn't be translated is passed on to RMMV as is.
+		i = next === -1 ? this.__raw(list, i, lines) : next;
+	}
+	return lines;
+};
+
+// Decompiles the body of a branch. Which speaker is in effect depends on the branches taken,
+// so it's forgotten going into and coming out of one. Message window settings go back to what they were.
+EventDecompiler.prototype.__decompileBranch = function (list, start, end, lines) {
+	let message = Object.assign({}, this.message);
+	this.speaker = undefined;
+	Array.prototype.push.apply(lines, this.__decompileRange(list, start, end));
+	this.speaker = undefined;
+	this.message = message;
+};
+
+// Writes out a command, along with everything belonging to it, as a raw RMMV command.
+// Returns the index after the last command it took.
+EventDecompiler.prototype.__raw = function (list, i, lines) {
+	let indent = list[i].indent;
+	let end = i + 1;
+	while (end < list.length && (list[end].indent > indent || (list[end].indent === indent && list[end].code >= continuationCode))) {
+		end++;
+	}
+
+	this.__checkRaw(list, i, end);
+	let commands = list.slice(i, end).map(function (c) {
+		return { code: c.code, indent: c.indent - indent, parameters: c.parameters };
+	});
+	lines.push("```stateCommand: EventReaderCommand " + JSON.stringify(commands));
+	return end;
+};
+
+// Makes sure the commands handed to RMMV as is only break out of loops, and jump to labels, that are handed over with them.
+EventDecompiler.prototype.__checkRaw = function (list, start, end) {
+	let labels = list.slice(start, end).filter(function (c) { return c.code === 118; }).map(function (c) { return c.parameters[0]; });
+	let loops = 0;
+	for (let j = start; j < end; j++) {
+		let code = list[j].code;
+		if (code === 112) { loops++; }
+		if (code === 413) { loops--; }
+		if (code === 113 && loops === 0) {
+			throw this.__error(j, "is a Break Loop that isn't handed to RMMV along with its loop, so it wouldn't break out of anything.");
+		}
+		if (code === 119 && !labels.includes(list[j].parameters[0])) {
+			throw this.__error(j, "jumps to the label '" + list[j].parameters[0] + "', which isn't handed to RMMV along with it, " +
+							   "so the jump would go nowhere.");
+		}
+	}
+};
+
+// Builds the error for a command that can't be decompiled without changing what the event does.
+EventDecompiler.prototype.__error = function (i, detail) {
+	return new this.context.EventError("DecompileError", "command " + (i + 1) + " of " + this.source + " " + detail);
+};
+
+// Finds the next command at an indent with one of the given codes.
+EventDecompiler.prototype.__nextAt = function (list, i, indent, codes) {
+	for (let j = i + 1; j < list.length; j++) {
+		if (list[j].indent === indent && codes.includes(list[j].code)) { return j; }
+		if (list[j].indent < indent) { break; }
+	}
+	return -1;
+};
+
+//=============================================================================
+//  Decompiler Codes
+//=============================================================================
+
+// Prep the codes wrapper. Each is keyed by the RMMV command code it translates.
+// Each returns the index after the last command it took, or -1 if it can't translate the command.
+EventDecompiler.prototype.codes = {};
+
+// The end of a branch.
+EventDecompiler.prototype.codes[0] = function (list, i) {
+	return i + 1;
+};
+
+// Show Text, joining the lines of the message into one line for the reader to wrap.
+// Faces that aren't a character's are noted in a comment.
+EventDecompiler.prototype.codes[101] = function (list, i, lines) {
+	let settings = list[i].parameters;
+	let text = [];
+	let j = i + 1;
+	for (; j < list.length && list[j].code === 401; j++) {
+		text.push(list[j].parameters[0]);
+	}
+
+	let spoken = this.__speak(settings[0], settings[1], text.join(" ").replace(/^<WordWrap>/, ""));
+	this.__window(settings[2], settings[3], lines);
+	Array.prototype.push.apply(lines, spoken.lines);
+	lines.push(__escapeLine(__escapeBraces(spoken.text)));
+	return j;
+};
+
+// Comment.
+EventDecompiler.prototype.codes[108] = function (list, i, lines) {
+	lines.push("// " + list[i].parameters[0]);
+	let j = i + 1;
+	for (; j < list.length && list[j].code === 408; j++) {
+		lines.push("// " + list[j].parameters[0]);
+	}
+	return j;
+};
+
+// Show Choices. The reader has no branch for cancelling, so choices that use one aren't translated.
+EventDecompiler.prototype.codes[102] = function (list, i, lines) {
+	let params = list[i].parameters;
+	let indent = list[i].indent;
+	let end = this.__nextAt(list, i, indent, [404]);
+	let quoted = params[0].some(function (choice) { return choice.includes("'"); });
+	if (params[1] === -2 || end === -1 || quoted) { return -1; }
+
+	let choices = params[0].map(function (choice, c) {
+		let marker = c === params[1] ? "c" : (c === params[2] ? "d" : "");
+		return "'" + choice + "'" + marker;
+	});
+	lines.push("```stateChoice: " + choices.join(" "));
+
+	for (let j = this.__nextAt(list, i, indent, [402]); j !== -1 && j < end; ) {
+		let next = this.__nextAt(list, j, indent, [402, 403, 404]);
+		lines.push("```" + list[j].parameters[0] + ":");
+		this.__decompileBranch(list, j + 1, next, lines);
+		j = next < end ? next : -1;
+	}
+
+	lines.push("```endChoice");
+	return end + 1;
+};
+
+// Conditional Branch.
+EventDecompiler.prototype.codes[111] = function (list, i, lines) {
+	let branches = this.__branchLines(list, i);
+	if (!branches) { return -1; }
+
+	Array.prototype.push.apply(lines, branches.lines);
+	lines.push("```endIf");
+	return branches.next;
+};
+
+// Loop. The shape of loop the compiler makes, starting with a condition that breaks from its else,
+// is written with that condition. Any other loop goes round until it breaks, like 'stateWhile: true'.
+EventDecompiler.prototype.codes[112] = function (list, i, lines) {
+	let indent = list[i].indent;
+	let end = this.__nextAt(list, i, indent, [413]);
+	if (end === -1) { return -1; }
+
+	let compiled = this.__compiledLoop(list, i, end);
+	let condition = compiled ? compiled.condition : "true";
+	let bodyAt = compiled ? i + 2 : i + 1;
+	let bodyEnd = compiled ? compiled.elseAt : end;
+	let bodyIndent = compiled ? indent + 2 : indent + 1;
+
+	// A continue jumps to a Label at the end of the loop's block, which the reader doesn't need.
+	let last = list[bodyEnd - 2];
+	let label = bodyEnd - 2 >= bodyAt && last.code === 118 && last.indent === bodyIndent ? last.parameters[0] : null;
+
+	lines.push("```stateWhile: " + condition);
+	this.loops.push(label);
+	this.__decompileBranch(list, bodyAt, label === null ? bodyEnd : bodyEnd - 2, lines);
+	this.loops.pop();
+	lines.push("```endWhile");
+	return end + 1;
+};
+
+// Returns the condition of a loop the compiler made, and where the else that breaks from it is, or null if it's any other loop.
+EventDecompiler.prototype.__compiledLoop = function (list, i, end) {
+	let indent = list[i].indent;
+	let check = list[i + 1];
+	if (check.code !== 111 || check.indent !== indent + 1) { return null; }
+
+	let condition = this.__condition(check.parameters);
+	let elseAt = this.__nextAt(list, i + 1, indent + 1, [411]);
+	let endIf = this.__nextAt(list, i + 1, indent + 1, [412]);
+	let breaks = elseAt !== -1 && list[elseAt + 1].code === 113 && list[elseAt + 2].code === 0 && elseAt + 3 === endIf;
+	if (condition === null || !breaks || endIf + 2 !== end) { return null; }
+	return { condition: condition, elseAt: elseAt };
+};
+
+// Break Loop. Every loop becomes a stateWhile, so this is only handed to RMMV when it's outside of any loop.
+EventDecompiler.prototype.codes[113] = function (list, i, lines) {
+	if (this.loops.length === 0) { return -1; }
+	lines.push("```break");
+	return i + 1;
+};
+
+// Label. The one at the end of the list is only there for returns to land on.
+EventDecompiler.prototype.codes[118] = function (list, i, lines) {
+	if (list[i].parameters[0] !== this.returnLabel) { lines.push("// Label: " + list[i].parameters[0]); }
+	return i + 1;
+};
+
+// Jump to Label. Only the jumps the compiler makes for continue and return have reader equivalents.
+EventDecompiler.prototype.codes[119] = function (list, i, lines) {
+	let label = list[i].parameters[0];
+	if (this.loops.length > 0 && label === this.loops[this.loops.length - 1]) {
+		lines.push("```continue");
+	} else if (label === this.returnLabel) {
+		lines.push("```return");
+	} else {
+		throw this.__error(i, "jumps to the label '" + label + "'. Only jumps to the end of the loop they're in, " +
+						   "or to the end of the event, can be decompiled, as continue and return.");
+	}
+	return i + 1;
+};
+
+// Control Switches.
+EventDecompiler.prototype.codes[121] = function (list, i, lines) {
+	let params = list[i].parameters;
+	let names = this.__names(this.system.switches, params[0], params[1], "s_");
+	if (!names) { return -1; }
+
+	names.forEach(function (name) {
+		lines.push("```setSwitch: '" + name + "' " + (params[2] === 0 ? "true" : "false"));
+	});
+	return i + 1;
+};
+
+// Control Variables. Only constant and variable operands, and the scripts the compiler writes, have reader equivalents.
+EventDecompiler.prototype.codes[122] = function (list, i, lines) {
+	let params = list[i].parameters;
+	let names = this.__names(this.system.variables, params[0], params[1], "v_");
+	let operand = null;
+	if (params[3] === 0) {
+		operand = String(params[4]);
+	} else if (params[3] === 1) {
+		operand = this.__name(this.system.variables, params[4], "v_");
+	} else if (params[3] === 4) {
+		operand = __compiledLogic(compiledOperand, params[4]);
+	}
+	if (!names || operand === null) { return -1; }
+
+	names.forEach(function (name) {
+		lines.push("```setVar: '" + name + "' " + __assignment(name, params[2], operand));
+	});
+	return i + 1;
+};
+
+// Script. Only the messages the compiler writes for lines with braces have reader equivalents.
+EventDecompiler.prototype.codes[355] = function (list, i, lines) {
+	let match = compiledMessage.exec(list[i].parameters[0]);
+	let continued = list[i + 1] && list[i + 1].code === 655;
+	if (!match || continued) { return -1; }
+
+	// Anything left in front of the text once the speaker's taken out of it would have been pretext, which isn't supported.
+	let start = JSON.parse(match[5]);
+	let spoken = this.__speak(match[1] ? JSON.parse(match[1]) : "", Number(match[2] || 0), start.replace(/^<WordWrap>/, ""));
+	if (!start.startsWith("<WordWrap>") || spoken.text !== "") { return -1; }
+
+	this.__window(Number(match[3] || 0), Number(match[4] || 2), lines);
+	Array.prototype.push.apply(lines, spoken.lines);
+	lines.push(__escapeLine(JSON.parse(match[6])));
+	return i + 1;
+};
+
+// Plugin Command.
+EventDecompiler.prototype.codes[356] = function (list, i, lines) {
+	lines.push("```stateCommand: " + list[i].parameters[0]);
+	return i + 1;
+};
+
+//=============================================================================
+//  Decompiler Helper Functions
+//=============================================================================
+
+// Returns the lines of a Conditional Branch up to its endIf, and the index after it.
+// An else holding nothing but another Conditional Branch is flattened into an elif.
+EventDecompiler.prototype.__branchLines = function (list, i) {
+	let indent = list[i].indent;
+	let condition = this.__condition(list[i].parameters);
+	let elseAt = this.__nextAt(list, i, indent, [411]);
+	let end = this.__nextAt(list, i, indent, [412]);
+	if (condition === null || end === -1) { return null; }
+
+	let lines = ["```stateIf: " + condition];
+	this.__decompileBranch(list, i + 1, elseAt === -1 ? end : elseAt, lines);
+
+	if (elseAt !== -1) {
+		let nested = list[elseAt + 1].code === 111 ? this.__branchLines(list, elseAt + 1) : null;
+		if (nested && nested.next + 1 === end && list[nested.next].code === 0) {
+			nested.lines[0] = nested.lines[0].replace("```stateIf:", "```elif:");
+			Array.prototype.push.apply(lines, nested.lines);
+		} else {
+			lines.push("```elif: true");
+			this.__decompileBranch(list, elseAt + 1, end, lines);
+		}
+	}
+
+	return { lines: lines, next: end + 1 };
+};
+
+// Works out who's speaking a message from its face, or its name box if it has no face.
+// Returns the lines needed to make them the speaker, and the text with their name box taken out.
+EventDecompiler.prototype.__speak = function (faceName, faceIndex, text) {
+	let found = this.__findSpeaker(faceName, faceIndex, text);
+	let lines = [];
+	if (!found && faceName) {
+		lines.push("// Face: " + faceName + " " + faceIndex);
+	}
+
+	let speaker = found ? found.args : "none";
+	if (speaker !== this.speaker) {
+		lines.push("```speaker: " + speaker);
+		this.speaker = speaker;
+	}
+	return { lines: lines, text: found ? text.substring(found.nameBox.length) : text };
+};
+
+// Adds the commands needed to show a message with a background and position.
+EventDecompiler.prototype.__window = function (background, position, lines) {
+	let reader = this.context.EventReader;
+	let nameOf = function (codes, code) { return Object.keys(codes).find(function (name) { return codes[name] === code; }); };
+	if (background !== this.message.background) {
+		lines.push("```background: " + nameOf(reader.backgrounds, background));
+		this.message.background = background;
+	}
+	if (position !== this.message.position) {
+		lines.push("```position: " + nameOf(reader.positions, position));
+		this.message.position = position;
+	}
+};
+
+// Returns the speaker command arguments for the character with a face, along with their name box.
+EventDecompiler.prototype.__findSpeaker = function (faceName, faceIndex, text) {
+	let nameBoxFormat = this.context.EventReader.nameBoxFormat;
+	for (let key of Object.keys(this.characters)) {
+		let character = this.characters[key];
+		let name = character.hasOwnProperty("name") ? character.name : key;
+		let nameBox = name ? nameBoxFormat.replace("%1", name) : "";
+		let unseen = !nameBox && !character.faceName;
+		if (unseen || (character.faceName || "") !== faceName || !text.startsWith(nameBox)) { continue; }
+
+		let expressions = character.expressions || {};
+		let expression = Object.keys(expressions).find(function (e) { return expressions[e] === faceIndex; });
+		if (expression) {
+			return { args: key + (expression === character.defaultExpression ? "" : " " + expression), nameBox: nameBox };
+		} else if (!character.defaultExpression && faceIndex === 0) {
+			return { args: key, nameBox: nameBox };
+		}
+	}
+	return null;
+};
+
+// Returns a LogicEvaluator statement for a Conditional Branch's parameters, or null if there isn't one.
+// Only switches, variables and the scripts the compiler writes have LogicEvaluator equivalents.
+EventDecompiler.prototype.__condition = function (params) {
+	if (params[0] === 0) {
+		let name = this.__name(this.system.switches, params[1], "s_");
+		return name === null ? null : (params[2] === 0 ? name : "not " + name);
+	} else if (params[0] === 1) {
+		let name = this.__name(this.system.variables, params[1], "v_");
+		let operand = params[2] === 0 ? String(params[3]) : this.__name(this.system.variables, params[3], "v_");
+		return name === null || operand === null ? null : name + " " + comparisons[params[4]] + " " + operand;
+	} else if (params[0] === 12) {
+		return __compiledLogic(compiledCondition, params[1]);
+	}
+	return null;
+};
+
+// Returns the quoted name for a switch or variable id, or null if it doesn't follow the naming conventions.
+EventDecompiler.prototype.__name = function (names, id, prefix) {
+	let name = names[id];
+	if (!name || !name.startsWith(prefix) || name.includes("'")) { return null; }
+	return "'" + name + "'";
+};
+
+// Returns the names for a range of ids, or null if any can't be named.
+EventDecompiler.prototype.__names = function (names, start, end, prefix) {
+	let found = [];
+	for (let id = start; id <= end; id++) {
+		let name = this.__name(names, id, prefix);
+		if (name === null) { return null; }
+		found.push(name.replace(/'/g, ""));
+	}
+	return found;
+};
+
+//=============================================================================
+//  Data File Input
+//=============================================================================
+
+// Decompiles the common events, or just the one asked for.
+// Returns the files to write, keyed by their path within the output folder.
+EventDecompiler.prototype.decompileCommonEvents = function (onlyId) {
+	let files = {};
+	let commonEvents = this.__readData("CommonEvents.json");
+	commonEvents.forEach(function (commonEvent) {
+		if (!commonEvent || (onlyId !== null && commonEvent.id !== onlyId) || commonEvent.list.length <= 1) { return; }
+		let filename = __pad(commonEvent.id) + " " + __safeName(commonEvent.name) + ".txt";
+		files[path.join("CommonEvents", filename)] = this.decompileList(commonEvent.list, "common event " + commonEvent.id);
+	}.bind(this));
+	return files;
+};
+
+// Decompiles every page of every event on the maps, or just the map asked for.
+EventDecompiler.prototype.decompileMaps = function (onlyId) {
+	let files = {};
+	let mapInfos = this.__readData("MapInfos.json");
+	mapInfos.forEach(function (info) {
+		if (!info || (onlyId !== null && info.id !== onlyId)) { return; }
+
+		let map = this.__readData("Map" + __pad(info.id) + ".json");
+		map.events.forEach(function (theEvent) {
+			if (!theEvent) { return; }
+			theEvent.pages.forEach(function (page, p) {
+				if (page.list.length <= 1) { return; }
+				let filename = __pad(theEvent.id) + " " + __safeName(theEvent.name) + " p" + (p + 1) + ".txt";
+				let source = "map " + info.id + " event " + theEvent.id + " page " + (p + 1);
+				files[path.join("Map" + __pad(info.id), filename)] = this.decompileList(page.list, source);
+			}.bind(this));
+		}.bind(this));
+	}.bind(this));
+	return files;
+};
+
+EventDecompiler.prototype.__readData = function (filename) {
+	return JSON.parse(fs.readFileSync(path.join(this.projectDir, "data", filename), "utf8"));
+};
+
+// Returns the statement or text inside a script the compiler wrote, or null if the script is anything else.
+function __compiledLogic(pattern, script) {
+	let match = pattern.exec(script);
+	return match ? JSON.parse(match[1]) : null;
+}
+
+// Returns what follows the var's name in a setVar, for a Control Variables operation on it.
+function __assignment(name, operation, operand) {
+	if (assignments[operation]) { return assignments[operation] + " " + operand; }
+	return "| '" + name + "' " + operations[operation] + " " + operand;
+}
+
+// Doubles any braces that aren't part of RMMV's own '\{' and '\}' text codes.
+function __escapeBraces(text) {
+	return text.replace(/(\\[{}])|([{}])/g, function (match, code, brace) { return code || brace + brace; });
+}
+
+// Puts a '\' in front of text the reader would otherwise take for a command, a comment or a blank line.
+// Text that already starts with one gets another, since the reader drops the first.
+function __escapeLine(text) {
+	return /^\\*(\/\/|```|\s*$)/.test(text) ? "\\" + text : text;
+}
+
+// Pads an id to three digits, the way RMMV names its map files.
+function __pad(id) {
+	return String(id).padStart(3, "0");
+}
+
+// Strips anything out of a name that can't go in a filename.
+function __safeName(name) {
+	return (name || "").replace(/[\\/:*?"<>|]/g, "").trim();
+}
+
+//=============================================================================
+//  Command Line
+//=============================================================================
+
+// Sorts the command line into options.
+function __parseArgs(argv) {
+	let args = { projectDir: ".", out: "decompiled", map: null, commonEvent: null };
+	for (let i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case "--project": args.projectDir = argv[++i]; break;
+			case "--out": args.out = argv[++i]; break;
+			case "--map": args.map = Number(argv[++i]); break;
+			case "--common-event": args.commonEvent = Number(argv[++i]); break;
+		}
+	}
+	return args;
+}
+
+if (require.main === module) {
+	let args = __parseArgs(process.argv.slice(2));
+	let projectDir = path.resolve(args.projectDir);
+	let decompiler = new EventDecompiler(projectDir);
+
+	// Without a pick, do everything. With one, only do what was picked.
+	let files = {};
+	try {
+		if (args.map === null) { Object.assign(files, decompiler.decompileCommonEvents(args.commonEvent)); }
+		if (args.commonEvent === null) { Object.assign(files, decompiler.decompileMaps(args.map)); }
+	} catch (e) {
+
+		// Errors are printed as they read, e.g. 'DecompileError:  command 12 of common event 3 ...', rather than field by field.
+		console.error(e.message);
+		process.exit(1);
+	}
+
+	Object.keys(files).forEach(function (file) {
+		let filepath = path.join(path.resolve(projectDir, args.out), file);
+		fs.mkdirSync(path.dirname(filepath), { recursive: true });
+		fs.writeFileSync(filepath, files[file]);
+		console.log("Wrote " + path.relative(process.cwd(), filepath));
+	});
+}
+
+module.exports = EventDecompiler;
@@ -0,0 +1,166 @@
+//=============================================================================
+//  EventNodeContext.js
+//=============================================================================
+
+/*
+* Version v1.0.0
+* Last updated 10/19/26
+*/
+
+/*
+* @author DemiDawn
+*
+* A Node.js helper shared by the command line tools that work on event scripts.
+* It loads EventReader.js and EventSelector.js outside of the game, with just
+* enough of RMMV stood in for them to set up.
+
+
+  ** Interface *
+
+createContext(projectDir, globals)
+
+Returns a sandbox the plugins were run in. EventReader, EventParser,
+LogicEvaluator, EventError, EventErrorReporter, EventSelector and
+EpiphanyManager can all be found on it. Errors are thrown rather than
+logged, since the sandbox runs as the 'tools' build.
+Anything in globals is added to the sandbox before the plugins load,
+so callers can supply their own stand-ins for RMMV objects.
+The database tables commands look names up in, like $dataAnimations,
+are loaded too if the project has them.
+
+
+loadSystem(projectDir)
+
+Returns the project's data/System.json, to use as $dataSystem.
+
+
+findEventFiles(folder)
+
+Returns the paths of every event file within a folder and its subfolders.
+*/
+
+//=============================================================================
+//  Node Meta
+//=============================================================================
+
+let fs = require('fs');
+let path = require('path');
+let vm = require('vm');
+
+// The plugins to load, in the order the game loads them.
+let pluginFiles = ["EventReader.js", "EventSelector.js"];
+let eventFileType = ".txt";
+
+// The database tables commands can look entries up in by name, and the files they're kept in.
+let databaseFiles = {
+	$dataActors: "Actors.json",
+	$dataItems: "Items.json",
+	$dataWeapons: "Weapons.json",
+	$dataArmors: "Armors.json",
+	$dataMapInfos: "MapInfos.json",
+	$dataAnimations: "Animations.json"
+};
+
+//=============================================================================
+//  Context Creation
+//=============================================================================
+
+// Loads the plugins into a fresh sandbox and returns it.
+function createContext(projectDir, globals) {
+
+	let context = vm.createContext(Object.assign(__makeStandIns(projectDir), globals || {}));
+	context.window = context;
+
+	pluginFiles.forEach(function (name) {
+		let filepath = __findPlugin(projectDir, name);
+		vm.runInContext(fs.readFileSync(filepath, "utf8"), context, { filename: filepath });
+	});
+
+	// The reader looks for its files from the game's folder, which isn't necessarily where the tool's run from.
+	let reader = context.EventReader;
+	let fromProject = function (filepath) { return path.relative(process.cwd(), path.join(projectDir, filepath)); };
+	reader.characterFile = fromProject(reader.characterFile);
+	reader.eventFolder = fromProject(reader.eventFolder);
+	reader.includePaths = reader.includePaths.map(fromProject);
+
+	return context;
+}
+
+// Reads the project's database system file.
+function loadSystem(projectDir) {
+	return JSON.parse(fs.readFileSync(path.join(projectDir, "data", "System.json"), "utf8"));
+}
+
+// Collects the event files within a folder, looking through subfolders as well.
+function findEventFiles(folder) {
+	let found = [];
+	fs.readdirSync(folder).sort().forEach(function (fileOrDir) {
+		let filepath = path.join(folder, fileOrDir);
+		if (fs.statSync(filepath).isDirectory()) {
+			found = found.concat(findEventFiles(filepath));
+		} else if (fileOrDir.endsWith(eventFileType)) {
+			found.push(filepath);
+		}
+	});
+	return found;
+}
+
+//=============================================================================
+//  Helper Functions
+//=============================================================================
+
+// The bare minimum of RMMV the plugins touch while setting up.
+function __makeStandIns(projectDir) {
+
+	function Scene_Base() {}
+	Scene_Base.prototype.update = function () {};
+
+	function Scene_Save() {}
+	Scene_Save.prototype.onSaveSuccess = function () {};
+
+	function Scene_Load() {}
+	Scene_Load.prototype.onLoadSuccess = function () {};
+
+	function Game_Interpreter() {}
+	Game_Interpreter.prototype.updateWaitMode = function () { return false; };
+	Game_Interpreter.prototype.pluginCommand = function () {};
+
+	let DataManager = {
+		setupNewGame: function () {},
+		makeSaveContents: function () { return {}; },
+		extractSaveContents: function () {}
+	};
+
+	let standIns = {
+		require: require,
+		console: console,
+		process: process,
+		Scene_Base: Scene_Base,
+		Scene_Save: Scene_Save,
+		Scene_Load: Scene_Load,
+		Game_Interpreter: Game_Interpreter,
+		DataManager: DataManager,
+		$dataSystem: loadSystem(projectDir)
+	};
+
+	Object.keys(databaseFiles).forEach(function (table) {
+		let filepath = path.join(projectDir, "data", databaseFiles[table]);
+		if (fs.existsSync(filepath)) { standIns[table] = JSON.parse(fs.readFileSync(filepath, "utf8")); }
+	});
+	return standIns;
+}
+
+// Finds a plugin in the project's plugin folder, or next to this file if it isn't there.
+function __findPlugin(projectDir, name) {
+	let candidates = [path.join(projectDir, "js", "plugins", name), path.join(__dirname, name)];
+	for (let filepath of candidates) {
+		if (fs.existsSync(filepath)) { return filepath; }
+	}
+	throw "FileNotFound: couldn't find " + name + " in " + candidates.join(" or ");
+}
+
+module.exports = {
+	createContext: createContext,
+	loadSystem: loadSystem,
+	findEventFiles: findEventFiles
+};
@@ -14,16 +14,25 @@
 
   ** Overview *
 
-This script contains two objects, the titular EventReader 
-and the LogicEvaluator. 
+This script contains five objects, the titular EventReader,
+the EventParser, the LogicEvaluator, and the EventError and 
+EventErrorReporter they all report their mistakes with. 
 
 The EventReader reads events that are expected to be formatted 
 in a certain way to speed up production. More details can be 
 found in extant docs.
 
+The EventParser turns an event file into a syntax tree before
+the EventReader runs it. Every error it finds, or that happens
+while the event runs, is reported with its file and line, 
+e.g. 'Beach.txt:42'.
+
 The LogicEvaluator handles any logical statement required to replicate
 the basic functions of RMMV event commands.
 
+Anything that goes wrong, in these or in the EventSelector, is an 
+EventError. The EventErrorReporter decides what's done with it.
+
 
   ** Interface *
 
@@ -31,6 +40,266 @@ EventReader.readEvent()
 
 Reads an event string stored in v_eventTemp. See extant files for a 
 list of commands that can be run within an event.
+
+When EventSelector.chooseEvent() fails, the error is reported and it
+returns EventReader.noEvent instead of a file. readEvent does nothing
+for that, so the game carries on without an event.
+
+The map's interpreter waits on the reader until the event is over.
+The reader keeps its own call stack, so choices and RMMV commands 
+can pause it at any depth and it'll pick up right where it stopped.
+That position is written into save files too, so loading a save made 
+in the middle of an event resumes it on the right line.
+
+Raw RMMV commands can be run from an event with the plugin command
+'EventReaderCommand', followed by the JSON of a command list. The
+decompiler writes these for commands it has no translation for.
+
+Blocks used in many places can be written once as a macro and called
+with arguments. Each '$parameter' in the macro's text, commands and
+conditions is filled in with the argument given for it.
+
+```defineMacro: greet name times
+Hello, $name!
+```setVar: 'v_greetings' | 'v_greetings' + $times
+```endMacro
+```callMacro: greet "Old Tom" 2
+
+'```return' leaves the macro or file it's in early. Macros in another
+file are called like '```callMacro: Shops.txt#greet Tom 1'. Calls nest
+up to EventReader.maxCallDepth deep before the reader stops them as
+runaway recursion.
+
+'```openEvent: Shops/Tom.txt' runs another file, then carries on
+after it. Files are looked for next to the file opening them first,
+then in EventReader.eventFolder, then in each of the folders in
+EventReader.includePaths. Files named in macro calls are found the
+same way. A file can't open one that's still open below it, since
+neither would ever finish, and the error names the files in between.
+Each file is parsed once, and again only if it's changed since.
+
+'```break' leaves the stateWhile it's in early, and '```continue'
+skips ahead to its next check. A loop that goes round more than
+EventReader.maxLoopIterations times without waiting on the game is
+stopped with an error naming its file and line, rather than freezing
+the game. The count starts over whenever the reader waits. Loops with text,
+choices or commands that wait on RMMV in them wait a frame each time
+around, so one waiting on a switch set elsewhere lets the game run.
+The commands that wait are kept in EventReader.pausingCommands.
+
+Variables named like 'l_count' are local to the file or macro call
+they're set in. They don't take up an RMMV variable, can be set with
+setVar and read in any condition, and are saved along with the rest
+of the reader's state. They're thrown away once the file or macro ends.
+
+setVar can also change a var by its current value:
+
+```setVar: 'v_gold' += 50             also -= and *=
+```setVar: 'v_mood' clamp 0, 10      keeps it between a min and a max
+
+Anything between braces in a line of text is evaluated by the
+LogicEvaluator and shown in its place, e.g. 'Day {'v_day' + 1}'.
+Values can be run through formats after a '|', one after another:
+
+pad 3              007
+plural apple       1 apple, 3 apples
+plural man men     1 man, 3 men
+commas             1,250
+fixed 2            3.50
+
+Formats are kept in EventReader.formats, so more can be added there.
+Use '{{' and '}}' to show a brace. Braces that don't pair up, or
+that hold something the LogicEvaluator can't read, like '{waves
+hello}', are shown as they are, and the linter points them out.
+
+Text written before braces were filled in may need its braces
+doubled where they hold something the LogicEvaluator can read, like
+'{3}', '{e}' or '{v_note}'. Those are filled in now, and a var name
+that doesn't exist stops the event.
+
+Braces starting with 'if' show text depending on conditions instead.
+The first branch whose condition is true is shown, or nothing at all
+if none of them are. Branch text can have braces of its own.
+
+{if 's_met': You came back! | else: Nice to meet you.}
+{if 'v_day' > 3: It's late. | elif 'v_day' > 1: It's {'v_day' | plural day} in.}
+
+Lines starting with '//' are comments, and blank lines are skipped.
+To show a line of text that starts with '//' or '```', or a blank
+one, put a '\' in front of it, e.g. '\// not a comment'. Only the
+first '\' is dropped.
+
+'```speaker: Mira happy' shows a character's face and name on every
+line after it, until the next speaker command. '```speaker: none'
+stops. Characters are defined in js/characters.json, keyed by the
+name used in the command:
+
+{
+    "Mira": {
+        "name": "Mira",
+        "faceName": "Mira",
+        "expressions": { "neutral": 0, "happy": 1, "sad": 2 },
+        "defaultExpression": "neutral"
+    }
+}
+
+Only the face file is required. The name defaults to the key, and an
+empty name shows no name box. The name is added to the front of each
+line with EventReader.nameBoxFormat, which defaults to Yanfly's '\n<%1>'.
+
+The message window can be changed for the rest of the block it's
+changed in. Once the block ends, the settings from before it are back.
+
+```background: dim           normal, dim or transparent
+```position: top             top, middle or bottom
+```linesPerPage: 4           lines in a row that share a page
+```newPage                   starts a new page, even if there's room
+
+Common RMMV commands have commands of their own, handed to the
+interpreter like choices are. Args in brackets can be left off, and
+names with spaces go in double-quotes.
+
+```playBGM: Town1 [volume pitch pan]     also playBGS, playME and playSE
+```stopBGM: [seconds]                    fades out if given seconds, also stopBGS
+```stopME, ```stopSE
+```showPicture: id name [x y opacity scaleX scaleY origin blend]
+```movePicture: id x y [frames wait opacity scaleX scaleY origin blend]
+```erasePicture: id
+```fadeOut, ```fadeIn
+```wait: frames
+```transfer: map x y [direction fade]     map by name or id
+```balloon: target balloon [wait]         target is player, this or an event id
+```animation: target animation [wait]     animation by name or id
+```giveItem: Potion [amount]             items, weapons or armor, by name
+```takeItem: "Long Sword" [amount includeEquip]
+```gainGold: amount                      negative amounts take gold
+```addActor: Harold [initialize]
+```removeActor: Harold
+```changeExp: Harold amount [showLevelUp]
+
+Origins are upperLeft or center, and blends are normal, additive,
+multiply or screen. Directions are retain, down, left, right or up,
+and fades are black, white or none. Balloons go by their names in
+the editor: exclamation, question, music, heart, anger, sweat,
+cobweb, silence, lightbulb and zzz.
+
+
+EventReader.registerCommand(name, schema, handler)
+
+Adds a command events can use, or replaces one. The schema lists the
+args the command takes, in order. They're parsed and checked before
+the handler runs, and it's given them keyed by name, along with the
+reader.
+
+EventReader.registerCommand("heal", [
+    { name: "actor", type: "word" },
+    { name: "amount", type: "integer", min: 1, optional: true, default: 9999 }
+], function (args, reader) { ... });
+
+word          the next word, as written
+string        the next word, or a phrase in double-quotes
+number        any number, at least 'min' if there is one
+integer       a whole number, at least 'min' if there is one
+boolean       true or false
+choice        one of the names in 'values', given as the value it's keyed to
+database      an entry in the 'table' named, like "$dataAnimations", by name or id
+character     player, this or an event id, given as RMMV's character id
+item          an item, weapon or armor by name, given as { table, id }
+switch        a switch that exists, like 's_met'
+variable      a variable that exists, like 'v_day', or a local one
+text          the rest of the line
+expression    the rest of the line, as a LogicEvaluator statement
+expressions   the rest of the line, as LogicEvaluator statements split on commas
+list          the rest of the line, split into words
+
+An entry like { literal: "|" } expects exactly that text there. More
+types can be added to EventReader.argTypes. The linter and compiler
+read EventReader.schemas, so they check a registered command's args
+the same way the reader does. Symbols, like a literal or setVar's
+'+=', don't need a space after them.
+
+
+EventParser.parse(text, file)
+
+Returns the syntax tree of an event file's text. Throws an error
+naming the file and line if a command isn't recognized or a block
+is never closed.
+
+
+LogicEvaluator statements
+
+Conditions, setVar values, braces in text and prereqs are all read
+by the LogicEvaluator. Each statement is parsed once and kept, so a
+loop's condition isn't read again every pass. Only the last
+LogicEvaluator.maxCompiled (1000) statements used are kept.
+
+'v_day', 's_met'       variables and switches, looked up as it runs
+v_day, l_count         names can go without quotes, too
+3, 2.5, "text"         numbers and strings
+true, false, pi, e
++ - * / ^ mod %        mod and % never go negative for a positive divisor
+== != < > <= >=        these chain, so 1 < 'v_a' < 5 is 1 < 'v_a' and 'v_a' < 5
+not !, and &&, xor,    loosest last, so not 'v_a' > 3 is not ('v_a' > 3)
+or ||
+a ? b : c              b if a is true, otherwise c
+abs ceil floor round sqrt min max clamp
+
+A stateIf, elif or stateWhile only runs its block while its condition is
+true itself. Other values, like 1 or "yes", count as false.
+
+A quote inside a name or string goes after a '\', like 'v_Mira\'s mood'.
+Mistakes are reported with the character they're at.
+
+
+LogicEvaluator.registerFunction(name, function)
+
+Adds a function conditions, values and prereqs can call. These are
+there to start with:
+
+item('Potion')       how many the party has, of an item, weapon or armor
+gold()               the party's gold
+inParty('Harold')    whether an actor's in the party
+level('Harold')      an actor's level
+selfSwitch('A')      a self switch of the event being run
+randInt(1, 6)        a whole number from the first to the second
+chance(0.25)         true as often as the odds given, from 0 to 1
+pick('a', 'b', ...)  one of the values given
+
+The random functions draw from the LogicEvaluator's own generator,
+seeded from the game's RNG when it loads. LogicEvaluator.seed(n)
+starts it over from a seed, so tests get the same results each run.
+
+e.g. '```stateIf: item('Potion') >= 2 and gold() < 100'. Quoted
+text given to one of these functions is passed to it as is, unless
+it's named like a variable or switch.
+
+
+EventErrorReporter.policies
+
+What's done with an error in each build, in order:
+
+playtest    ["log", "throw"]    stops the game, like RMMV would
+release     ["log", "show"]     tells the player, and skips the event
+tools       ["throw"]           the harness, linter and compiler
+
+'log' adds the error to EventErrorReporter.logFile, which is 
+'logs/eventErrors.log' to start with. Along with the error, it 
+notes the file and line of each frame on the reader's stack, the 
+last EventErrorReporter.recentLength lines run, and the values of
+the variables and switches they name. Once the log grows past 
+maxLogSize bytes it's moved to 'eventErrors.log.1', keeping up to
+maxLogFiles old logs. A log that can't be written is skipped, so
+the rest of the policy still runs. 'show' tells the player with the
+text in EventErrorReporter.notice, or unloggedNotice if the log
+couldn't be written. More can be added to its actions.
+
+
+new EventError(type, detail)
+
+The errors everything throws. Each has a type, like 'DataNotFound',
+a detail saying what went wrong, and the file and line it happened 
+at once that's known. Commands and functions can throw their own.
+Strings written like "DataNotFound:  ..." are still read as one.
 */
 
 //=============================================================================
@@ -52,96 +321,246 @@ list of commands that can be run within an event.
 		EventReader.readline = require('readline');
 		EventReader.utf8 = require('utf8');
 		
-		// Create an object to save event states into if we need to call external RMMV commands.
-		EventReader.save = {};
+		EventReader.path = require('path');
+		
+		// Where openEvent looks for the files it opens, if they aren't next to the file opening them.
+		EventReader.eventFolder = EventReader.path.join("js", "events");
+		
+		// Other folders openEvent looks in, in order, after eventFolder.
+		EventReader.includePaths = [];
+		
+		// Everything the reader needs to pick an event back up exactly where it stopped.
+		EventReader.__state = null;
+		
+		// The version of the state written into save files. Bump this whenever the state's shape changes,
+		// and add a migration from the old version to __stateMigrations.
+		EventReader.stateVersion = 6;
+		
+		// Functions upgrading a saved state from the version they're keyed by to the next version.
+		EventReader.__stateMigrations = {};
+		
+		// Version 1 had no scopes. Everything on the stack ran in the scope of the event that was read.
+		EventReader.__stateMigrations[1] = function (state) {
+			state.scopes = [{ file: state.stack[0].file, macro: null, args: {} }];
+			state.stack.forEach(function (frame, i) {
+				frame.scope = 0;
+				frame.call = i === 0;
+			});
+			return state;
+		};
+		
+		// Version 2 had no local variables.
+		EventReader.__stateMigrations[2] = function (state) {
+			state.scopes.forEach(function (scope) { scope.locals = {}; });
+			return state;
+		};
+		
+		// Version 3 had no speakers.
+		EventReader.__stateMigrations[3] = function (state) {
+			state.speaker = null;
+			return state;
+		};
+		
+		// Version 4 had no message window settings.
+		EventReader.__stateMigrations[4] = function (state) {
+			state.stack.forEach(function (frame) { frame.message = EventReader.__defaultMessage(); });
+			state.pageLines = 0;
+			return state;
+		};
+		
+		// Version 5 didn't count how many times loops had gone round.
+		EventReader.__stateMigrations[5] = function (state) {
+			state.stack.forEach(function (frame) { frame.iterations = 0; });
+			return state;
+		};
+		
+		// How many files and macros can be called inside each other before it's taken as runaway recursion.
+		EventReader.maxCallDepth = 100;
+		
+		// How many times a stateWhile can go round without the reader waiting on RMMV before it's taken as never ending.
+		EventReader.maxLoopIterations = 10000;
 		
-		// Create an object to store RMMV commands into.
-		EventReader.rmmvCommand = null;
+		// The interpreter walking the state's call stack, if one is running.
+		EventReader.__running = null;
 		
-		// Define within the object the line we're currently reading.
-		EventReader.curr = 0;	
+		// Parsed event files, keyed by the path they were read from. Each keeps the time its file was modified.
+		EventReader.__scripts = {};
 		
-		// Define a global container to access the event from.
-		EventReader.lines = null;
+		// The codes RMMV uses for message window backgrounds and positions, by the names the commands take.
+		EventReader.backgrounds = { normal: 0, dim: 1, transparent: 2 };
+		EventReader.positions = { top: 0, middle: 1, bottom: 2 };
 		
-		// The text to put before the main message, if anything.
-		EventReader.pretext = "";
+		// The codes RMMV uses for the settings of pictures, transfers and balloons, by the names the commands take.
+		EventReader.pictureOrigins = { upperleft: 0, center: 1 };
+		EventReader.blendModes = { normal: 0, additive: 1, multiply: 2, screen: 3 };
+		EventReader.directions = { retain: 0, down: 2, left: 4, right: 6, up: 8 };
+		EventReader.fadeTypes = { black: 0, white: 1, none: 2 };
+		EventReader.balloons = { exclamation: 1, question: 2, music: 3, heart: 4, anger: 5, 
+								 sweat: 6, cobweb: 7, silence: 8, lightbulb: 9, zzz: 10 };
 		
-		// Records the choiceBlock. If this isn't null, it should trigger the 'readChoice' function.
-		EventReader.choiceBlock = null;
+		// Where the speaker command looks up characters, and the characters once they've been read.
+		EventReader.characterFile = EventReader.path.join("js", "characters.json");
+		EventReader.__characters = null;
 		
-		// The last file we saw.
-		EventReader.lastSeenFile = null;
+		// The text code added to the front of each line a character speaks, for name box plugins.
+		// '%1' is replaced with the character's name. The default suits Yanfly's Message Core.
+		EventReader.nameBoxFormat = "\\n<%1>";
 		
-		// The block we're currently observing.
-		EventReader.lastSeenBlock = null;
+		// A pause requested by the node that just ran, if any.
+		EventReader.__pause = null;
+		
+		// What's stored in place of a file when there's no event to read, e.g. when choosing one failed.
+		// RMMV reads an empty variable back as 0, so that counts too.
+		EventReader.noEvent = "";
 		
 		// User command interface to read event files.
 		EventReader.readEvent = function () {
 			
-			// Ensure we're in the correct mode to read messages.
-			$gameMap._interpreter.setWaitMode("message");
-			
-			// Pull from the first variable the value to read.
-			let filenameOrLines = $gameVariables.value(1);
-			
-			// Retrieve the file in pieces.
-			if (Array.isArray(filenameOrLines)) {
-				this.lines = filenameOrLines;
-			} else {
-				this.lastSeenFile = filenameOrLines;
-				this.lines = this.__processFile(filenameOrLines).split(/\r?\n/);
+			// Pull from the first variable the file to read, checking its syntax before anything runs.
+			// A file that can't be read is reported, and the event is skipped. Without a file, there's nothing to skip.
+			let filename = $gameVariables.value(1);
+			if (filename === this.noEvent || filename === 0) { return; }
+			try {
+				filename = this.path.normalize(filename);
+				this.__loadScript(filename, true);
+			} catch (e) {
+				EventErrorReporter.report(e, "EventReader");
+				return;
 			}
 			
-			// Process the data.
-			this.__processLines();
+			// Start a fresh call stack at the top of the file.
+			this.__state = this.__makeState();
+			this.__pushCall(filename, 0, null, {});
+			this.__running = null;
+			
+			// Hand control to the interpreter, which runs the event a piece at a time between RMMV's own updates.
+			$gameMap._interpreter.setWaitMode("eventReader");
+		};
+		
+		// Returns an empty execution state.
+		// Frames on the stack each track a file, the block within it, and the index of the next node to run.
+		// Each file or macro called gets a scope holding its arguments and local variables. Frames point at the scope they run in,
+		// and the frame that started a call is marked so the scope can be dropped when it ends.
+		// Frames also carry the message window settings they run with, copied from the frame that started them,
+		// so settings changed in a block are undone when it ends.
+		EventReader.__makeState = function () {
+			return {
+				stack: [],
+				scopes: [],
+				pretext: "",
+				speaker: null,
+				pageLines: 0,
+				choice: null,
+				commands: []
+			};
 		};
 		
-		// Actually does the meat of reading an event.
-		// Most of what it's looping over is global, so be careful when calling this.
-		EventReader.__processLines = function() {
+		// Runs the event until it next has to wait on RMMV.
+		// Returns true if it's paused, or false once the event is finished.
+		EventReader.__resume = function () {
+			if (!this.__running) { this.__running = this.__interpret(); }
 			
-			// Set the curr pointer to a saved value if it exists, then clear the saved value.
-			let filenameOrLines = $gameVariables.value(1);
-			if (!Array.isArray(filenameOrLines) && this.save[filenameOrLines]) {
-				this.curr = this.save[filenameOrLines];
-				this.save[filenameOrLines] = 0;
-			} else {
-				this.curr = 0;
+			let step = this.__running.next();
+			if (step.done) {
+				this.__running = null;
+				this.__state = null;
 			}
-			
-			// Iterate through the commands, queuing the messages.
-			for (; this.curr < this.lines.length; this.curr++) {
+			return !step.done;
+		};
+		
+		// Walks the call stack, running one node at a time.
+		// Yields whenever RMMV needs to take over, e.g. to show a choice or run a command.
+		// All of its progress is kept in the state, so a new interpreter picks up exactly where an old one stopped.
+		EventReader.__interpret = function* () {
+			let state = this.__state;
+			while (state.stack.length > 0) {
 				
-				let line = this.lines[this.curr];
-				if (this.__isCommand(line)) {
-					
-					// Use the command code to reference the correct event action.
-					if (!this.commands[this.__getCommandCode(line)](this.__getCommandArgs(line), this)) {
-						
-						// If the command was invalid, though, print out an error.
-						$gameMessage.newPage(); 
-						$gameMessage.add("<WordWrap>Whoops, this isn't a recognized code: \n" +
-										 this.__getCommandCode(line) +
-										 "\nPlease report this to Demi ASAP to get it fixed.");
-					}
-				} else if (this.__isComment(line)) {
-					
-					// Ignore comments.
-					continue;
+				// If the player just picked a choice, step into the block for their option.
+				if (state.choice) {
+					this.__pushFrame(state.choice.file, state.choice.block);
+					state.choice = null;
+				}
+				
+				// Finish off the frame once it runs out of nodes.
+				// Otherwise, move past the node before running it, so a pause resumes on the node after.
+				// Any error a node throws is tagged with the line that ran it.
+				let frame = state.stack[state.stack.length - 1];
+				let block = this.__getBlock(frame);
+				if (frame.index >= block.body.length) {
+					this.__endFrame(frame, block);
 				} else {
-					
-					// By default, queue a the line to display, adding any prepared pretext.
-					$gameMessage.newPage();
-					$gameMessage.add("<WordWrap>" + this.pretext + line);
-					this.pretext = "";
+					let node = block.body[frame.index++];
+					try {
+						this.__runNode(node, frame);
+					} catch (e) {
+						throw EventError.from(e).locate(node);
+					}
 				}
 				
-				if (this.rmmvCommand) {
-					this.__popCommand();
-					this.__saveEvent();
-					break;
+				// The game gets a frame, so the loops running aren't stuck. Their counts start over.
+				if (this.__pause) {
+					this.__pause = null;
+					state.stack.forEach(function (f) { f.iterations = 0; });
+					yield;
+				}
+			}
+		};
+		
+		// Runs a single node from an event's syntax tree.
+		// Arguments of the macro it's running in are filled in before anything reads its text.
+		EventReader.__runNode = function (node, frame) {
+			EventErrorReporter.__remember(node);
+			if (node.type === "Text") {
+				
+				// By default, queue a the line to display, adding any prepared pretext.
+				this.__addText(this.__state.pretext + this.__interpolate(this.__substitute(node.text, frame)), frame.message);
+				this.__state.pretext = "";
+				return;
+			}
+			
+			// Only lines that follow each other can share a page.
+			this.__state.pageLines = 0;
+			if (node.type === "Command") {
+				
+				// Use the command code to reference the correct event action.
+				this.commands[node.code](this.__substitute(node.args, frame), this);
+			} else {
+				
+				// Blocks carry their own branches, so they're run by type rather than by code.
+				this.blocks[node.type](node, this, frame);
+			}
+		};
+		
+		// Called by the RMMV interpreter each frame while it's waiting on the reader.
+		// Returns whether it should keep waiting.
+		EventReader.__update = function (interpreter) {
+			
+			// The event's already over, e.g. an error ended it while another interpreter was waiting on it.
+			// RMMV lets any message still showing finish up.
+			if (!this.__state) { return false; }
+			
+			// Let any messages we queued finish up before anything else happens.
+			if ($gameMessage.isBusy()) { return true; }
+			
+			// Hand any RMMV commands we've queued to a child interpreter. We pick back up once it's done.
+			let commands = this.__state.commands;
+			if (commands.length > 0) {
+				this.__state.commands = [];
+				interpreter.setupChild(commands.concat([{ code: 0, indent: 0, parameters: [] }]), interpreter._eventId);
+				return true;
+			}
+			
+			// Anything the event throws is handed to the reporter, and the event ends there.
+			try {
+				return this.__resume();
+			} catch (e) {
+				try {
+					EventErrorReporter.report(e, "EventReader");
+				} finally {
+					this.__state = null;
+					this.__running = null;
 				}
+				return false;
 			}
 		};
 
@@ -150,385 +569,920 @@ list of commands that can be run within an event.
 //  Event Reader Commands
 //=============================================================================
 		
-		// Prep the commands wrapper.
+		// Prep the commands wrapper. Commands are added with registerCommand, which parses their args before they run.
 		EventReader.commands = {};
 		
+		// The args each command takes, keyed by the command.
+		EventReader.schemas = {};
+		
+		// Adds a command events can use, or replaces one that's already there.
+		// The schema lists the args the command takes, in order, and the handler is given them parsed and checked,
+		// keyed by their names. e.g.
+		//
+		// EventReader.registerCommand("heal", [
+		//     { name: "actor", type: "word" },
+		//     { name: "amount", type: "integer", optional: true, default: 9999 }
+		// ], function (args, cntxt) { ... });
+		//
+		// Block keywords like stateIf and endIf are read before commands, so a command can't share their names.
+		EventReader.registerCommand = function (name, schema, handler) {
+			this.schemas[name] = schema;
+			this.commands[name] = function (rawArgs, cntxt) {
+				return handler(cntxt.__parseArgs(name, rawArgs), cntxt);
+			};
+		};
+		
 		// Queues a bit of text to separate messy text codes from the writing.
-		EventReader.commands.pretext = function (theText, cntxt) {
-			cntxt.pretext = theText;
+		EventReader.registerCommand("pretext", [
+			{ name: "text", type: "text", optional: true, default: "" }
+		], function (args, cntxt) {
+			cntxt.__state.pretext = args.text;
 			return true;
-		};
+		});
 		
-		// Sets an RMMV switch.
-		EventReader.commands.setSwitch = function (rawArgs, cntxt) {
-			
-			// Split the args into meaning chunks.
-			let args = rawArgs.split(" ");
-			let name = "";
-			let value = null;
+		// Sets who's speaking, showing their face and name on every line until the speaker changes.
+		// Takes the character's name from the character file, then optionally the expression to show,
+		// e.g. '```speaker: Mira happy'. '```speaker: none' goes back to lines with no speaker.
+		EventReader.registerCommand("speaker", [
+			{ name: "character", type: "word" },
+			{ name: "expression", type: "word", optional: true, default: null }
+		], function (args, cntxt) {
 			
-			if (args[1].toLowerCase() !== "true" && args[1].toLowerCase() !== "false") {
-				throw "InvalidInputError:  cannot assign nonboolean value to switch.";
-			} else {
-				// The RMMV name this switch is indexed with.
-				name = cntxt.__formatVar(args[0]);							
+			let speaker = null;
+			if (args.character.toLowerCase() !== "none") {
 				
-				// The RMMV value to change it to.
-				value = (args[1].toLowerCase() === "true");	
+				// Look the speaker up now, so a typo is caught on the line it's on.
+				speaker = { character: args.character, expression: args.expression };
+				cntxt.__resolveSpeaker(speaker);
 			}
+			cntxt.__state.speaker = speaker;
 			
-			// Update the value. Throw an error if the value isn't found.
-			if ($dataSystem.switches.indexOf(name) === -1) {
-				throw "DataNotFound: requested switch wasn't found!";
-			} else {
-				$gameSwitches.setValue($dataSystem["switches"].indexOf(name), value);	
-			}
+			// A face belongs to the whole message, so let any lines already queued show with the old one.
+			if ($gameMessage.hasText()) { cntxt.__pushPause(); }
+			cntxt.__state.pageLines = 0;
 			
 			return true;
-		};
+		});
+		
+		// Sets the message window's background for the rest of the block: normal, dim or transparent.
+		EventReader.registerCommand("background", [
+			{ name: "background", type: "choice", values: EventReader.backgrounds }
+		], function (args, cntxt) {
+			cntxt.__setMessage("background", args.background);
+			return true;
+		});
+		
+		// Sets the message window's position for the rest of the block: top, middle or bottom.
+		EventReader.registerCommand("position", [
+			{ name: "position", type: "choice", values: EventReader.positions }
+		], function (args, cntxt) {
+			cntxt.__setMessage("position", args.position);
+			return true;
+		});
+		
+		// Sets how many lines in a row share a page for the rest of the block. By default, every line gets its own page.
+		EventReader.registerCommand("linesPerPage", [
+			{ name: "lines", type: "integer", min: 1 }
+		], function (args, cntxt) {
+			cntxt.__topFrame().message.linesPerPage = args.lines;
+			return true;
+		});
+		
+		// Makes the next line start a page of its own. Any command does this, so there's nothing left to do.
+		EventReader.registerCommand("newPage", [], function (args, cntxt) {
+			return true;
+		});
 		
 		// Sets an RMMV switch.
-		EventReader.commands.flipSwitch = function (theSwitch, cntxt) {
-			
-			// Update the value. Throw an error if the value isn't found.
-			let id = $dataSystem.switches.indexOf(cntxt.__formatVar(theSwitch));
-			if (id === -1) {
-				throw "DataNotFound: requested switch wasn't found!";
-			} else {
-				$gameSwitches.setValue(id, !$gameSwitches.value(id));	
-			}
-			
-			// Confirm to the caller this worked properly.
+		EventReader.registerCommand("setSwitch", [
+			{ name: "switch", type: "switch" },
+			{ name: "value", type: "boolean" }
+		], function (args, cntxt) {
+			$gameSwitches.setValue($dataSystem.switches.indexOf(args.switch), args.value);
 			return true;
+		});
+		
+		// Flips an RMMV switch.
+		EventReader.registerCommand("flipSwitch", [
+			{ name: "switch", type: "switch" }
+		], function (args, cntxt) {
+			let id = $dataSystem.switches.indexOf(args.switch);
+			$gameSwitches.setValue(id, !$gameSwitches.value(id));
+			return true;
+		});
+		
+		// The ways setVar can set a var, keyed by the operator written between the var and its values.
+		// Each is given the values and a way to get the var's current value. The code is RMMV's Control Variables operation for it.
+		EventReader.assignments = {
+			"|": { values: 1, usage: "'|' takes one value", code: 0, assign: function (values) { return values[0]; } },
+			"+=": { values: 1, usage: "'+=' takes one value", code: 1, assign: function (values, current) { return current() + values[0]; } },
+			"-=": { values: 1, usage: "'-=' takes one value", code: 2, assign: function (values, current) { return current() - values[0]; } },
+			"*=": { values: 1, usage: "'*=' takes one value", code: 3, assign: function (values, current) { return current() * values[0]; } },
+			"clamp": { values: 2, usage: "clamp takes a min and a max", code: null, assign: function (values, current) {
+				return LogicEvaluator.mathFunctions.clamp(current(), values[0], values[1]);
+			} }
 		};
 		
-		// Sets an RMMV variable.
-		EventReader.commands.setVar = function (rawArgs, cntxt) {
-			
-			// Split the args into meaning chunks.
-			let args = rawArgs.split("|");
-			
-			// The RMMV name this value is indexed with, trimmed for whitespace and removing single quotes.
-			let name = cntxt.__formatVar(args[0]);							
+		// Sets an RMMV variable, or a local variable, from the value of an expression, e.g. 'v_day' | 3 or 'v_gold' += 50.
+		EventReader.registerCommand("setVar", [
+			{ name: "variable", type: "variable" },
+			{ name: "operator", type: "choice", values: EventReader.assignments },
+			{ name: "value", type: "expressions" }
+		], function (args, cntxt) {
+			cntxt.__checkAssignment(args);
 			
 			// The new value to set the var to.
-			let updatedValue = LogicEvaluator.__evaluateLogic(args[1]);	
+			let values = args.value.map(function (statement) { return LogicEvaluator.__evaluateLogic(statement); });
+			let updatedValue = args.operator.assign(values, function () { return LogicEvaluator.__rmmvNameQuery(args.variable); });
 			
-			// Update the value. Throw an error if the value isn't found.
-			let varIndex = $dataSystem.variables.indexOf(name);
-			if (varIndex === -1) {
-				throw "DataNotFound: requested variable wasn't found!";
+			// Local variables live in the reader rather than RMMV.
+			if (LogicEvaluator.__isLocalVar(args.variable)) {
+				cntxt.__setLocal(args.variable, updatedValue);
 			} else {
-				$gameVariables.setValue(varIndex, updatedValue);	
+				$gameVariables.setValue($dataSystem.variables.indexOf(args.variable), updatedValue);
 			}
 			
-			// Let anything using this command know it executed properly.
 			return true;
-		};
+		});
 		
-		// Begins an if statement.
-		// Updates this.curr from outside the normal structure.
-		EventReader.commands.stateIf = function (statement, cntxt) {
-			
-			// Whether we've executed a block already or not.
-			let hasExecuted = false;
-			
-			// Loop through the statements to find the first valid if statement in the chain.
-			// Simultaneously, finds the end of the if block by ending when we see the endIf command.
-			while (cntxt.__getCommandCode(cntxt.lines[cntxt.curr]) !== "endIf") {
-				
-				// If this is a new elif statement, then change the statement to evaluate for entering the block.
-				if (!hasExecuted && cntxt.__getCommandCode(cntxt.lines[cntxt.curr]) === "elif") {
-					statement = cntxt.__getCommandArgs(cntxt.lines[cntxt.curr]);
-				}
-				
-				// If this if-statement is true, run its block, then return to the block we were at before.
-				let blockOpen = LogicEvaluator.__evaluateLogic(statement);
-				if (!hasExecuted && typeof blockOpen === "boolean" && blockOpen) {
-					cntxt.__runBlock(cntxt.__getIfBlock(cntxt.curr + 1), cntxt);
-				}
-				
-				// Check and update our status relative to the lines.
-				if (cntxt.curr === cntxt.lines.length - 1) {
-					
-					// If the command never hit a endIf, alert the player.
-					$gameMessage.newPage(); 
-					$gameMessage.add("<WordWrap>Whoops, I didn't close this if statement... \n",
-									 "\nPlease report this to Demi ASAP to get it fixed.");
-					break;
-				} else {
-					cntxt.curr++;
-				}
-			}
-			
-			// Exit the satement on the line after the endIf code.
-			if (cntxt.__getCommandCode(cntxt.lines[cntxt.curr]) === "endIf") { cntxt.curr++; }
-			
+		// Opens a new file and starts us looking at that, then returns us back to the file we were at.
+		// Files are looked for next to the one we're at first, so 'Shops/Tom.txt' and '../Town.txt' both work.
+		EventReader.registerCommand("openEvent", [
+			{ name: "file", type: "text" }
+		], function (args, cntxt) {
+			let filepath = cntxt.__resolveInclude(args.file, cntxt.__topFrame().file);
+			cntxt.__checkInclude(filepath);
+			cntxt.__loadScript(filepath, true);
+			cntxt.__pushCall(filepath, 0, null, {});
 			return true;
-		};
+		});
 		
-		// Begins a while statement.
-		// Updates this.curr from outside the normal structure.
-		EventReader.commands.stateWhile = function (statement, cntxt) {
-			
-			// Prep the block of code if the initial loop is valid.
-			let block = [];
-			if (LogicEvaluator.__evaluateLogic(statement)) { 
-				block = cntxt.__getWhileBlock(cntxt.curr + 1); 
-			}
+		// Runs a macro, filling its parameters in with the arguments given, then returns us back to where we were.
+		// Arguments are split on spaces. Wrap one in double-quotes to keep its spaces, e.g. '```callMacro: greet "Old Tom" 3'.
+		// Macros in another file are called by naming the file too, e.g. '```callMacro: Shops.txt#greet "Old Tom" 3'.
+		EventReader.registerCommand("callMacro", [
+			{ name: "macro", type: "word" },
+			{ name: "args", type: "list", optional: true, default: [] }
+		], function (args, cntxt) {
 			
-			// Repeatedly process this block if true. 
-			// May infinitely loop, if there's no exit condition.
-			while (block.length > 0 && LogicEvaluator.__evaluateLogic(statement)) {
-				cntxt.__runBlock(block, cntxt);
+			let found = cntxt.__findMacro(args.macro, cntxt.__topFrame().file);
+			if (args.args.length !== found.macro.params.length) {
+				throw new EventError("InvalidInputError", "macro '" + found.macro.name + "' takes " + found.macro.params.length + 
+									 " arguments, but was given " + args.args.length + ".");
 			}
 			
-			// Update our status relative to the lines.
-			while (cntxt.__getCommandCode(cntxt.lines[cntxt.curr]) !== "endWhile") {
-				if (cntxt.curr === cntxt.lines.length - 1) {
-					
-					// If the command never hit a whileEnd, alert the player.
-					$gameMessage.newPage(); 
-					$gameMessage.add("<WordWrap>Whoops, I didn't close this if statement... \n",
-									 "\nPlease report this to Demi ASAP to get it fixed.");
-					break;
-				} else {
-					cntxt.curr++;
-				}
-			}
-			
-			// Exit the satement on the line after the endWhile code.
-			if (cntxt.__getCommandCode(cntxt.lines[cntxt.curr]) === "endWhile") { cntxt.curr++; }
+			// Pair each parameter with its argument, dropping the double-quotes that kept it together.
+			let values = {};
+			found.macro.params.forEach(function (param, i) {
+				values[param] = args.args[i].replace(/^"(.*)"$/, "$1");
+			});
+			cntxt.__pushCall(found.file, found.macro.line, found.macro.name, values);
 			
 			return true;
-		};
+		});
 		
-		// Opens a new file and starts us looking at that, then returns us back to the file we were at.
-		EventReader.commands.openEvent = function (filename, cntxt) {
-			
-			cntxt.__runBlock(cntxt.__processFile("./js/events/" + filename).split(/\r?\n/), cntxt);
-			
-			// Note to the outside function this ran properly.
+		// Leaves the innermost loop early, carrying on after its endWhile.
+		EventReader.registerCommand("break", [], function (args, cntxt) {
+			cntxt.__unwindToLoop();
+			cntxt.__popFrame();
 			return true;
-		};
+		});
 		
-		// Creates an RMMV choice. 
-		// Adding 'd' to the left of a choice makes it default. Adding 'c' to the left of a choice makes it a cancel. 
-		EventReader.commands.stateChoice = function (args, cntxt) {
-	
-			// Set the 'default' option to the first choice by default.
-			let defaultOption = 0;
-			
-			// Turn off the 'cancel' option by default.
-			let cancelOption = -1;
-			
-			// Construct the choices.
-			args = args.split(" ");
-			let choices = [];
-			for (let i = 0; i < args.length; i++) {
-				
-				choices.push(cntxt.__formatVar(args[i]));
-				
-				// Check if the option is default or cancel.
-				if (cntxt.__isDefault(args[i])) { defaultOption = i; }
-				else if (cntxt.__isCancel(args[i])) { cancelOption = i; }
-			}
-			
-			// Assign the choices and blocks to read on a choice.
-			$gameMessage.setChoices(choices, defaultOption, cancelOption);
-			let tempCurr = cntxt.curr;
-			$gameMessage.setChoiceCallback(function(choice) {
-				this.choiceBlock = this.__getChoiceBlock(tempCurr, choice);
-			}.bind(cntxt));
-			
-			// Continue to keep reading after the player chooses an option.
-			while (cntxt.__getCommandCode(cntxt.lines[cntxt.curr]) !== "endChoice") {
-				
-				// Check and update our status relative to the lines.
-				if (cntxt.curr === cntxt.lines.length - 1) {
-					
-					// If the command never hit a endIf, alert the player.
-					$gameMessage.newPage(); 
-					$gameMessage.add("<WordWrap>Whoops, I didn't close this choice statement... \n",
-									 "\nPlease report this to Demi ASAP to get it fixed.");
-					break;
-				} else {
-					cntxt.curr++;
-				}
-			}
-			
-			// Prep this command to run the choice in RMMV.
-			let readChoice = {
-				code: 355,
-				indent: $gameMap._interpreter._indent,
-				parameters: ["EventReader.__readChoice();"]
-			};
-			cntxt.__pushCommand(readChoice);
+		// Skips the rest of the innermost loop's block, so its condition is checked for the next time around.
+		EventReader.registerCommand("continue", [], function (args, cntxt) {
+			let frame = cntxt.__unwindToLoop();
+			frame.index = cntxt.__getBlock(frame).body.length;
+			return true;
+		});
+		
+		// Leaves the macro or file we're in early, returning to whatever called it.
+		EventReader.registerCommand("return", [], function (args, cntxt) {
+			let frame = null;
+			do {
+				frame = cntxt.__popFrame();
+			} while (!frame.call);
 			
-			// Note to the outside function this ran properly.
 			return true;
-		};
+		});
 		
-		// Runs an RMMV Script Command.
-		EventReader.commands.stateCommand = function (command, cntxt) {
-	
+		// Runs an RMMV Plugin Command.
+		EventReader.registerCommand("stateCommand", [
+			{ name: "command", type: "text" }
+		], function (args, cntxt) {
+			
 			// Prep this command to pass to RMMV.
 			let rmmvScriptCommand = {
 				code: 356,
 				indent: $gameMap._interpreter._indent,
-				parameters: [command]
+				parameters: [args.command]
 			};
 			cntxt.__pushCommand(rmmvScriptCommand);
 			
-			// Note to the outside function this ran properly.
 			return true;
-		};
+		});
 		
+		// The commands that make the reader wait on RMMV, so loops running them know to give it a frame each time around.
+		// Commands registered elsewhere that push commands or pauses should be added here.
+		EventReader.pausingCommands = { stateCommand: true };
 		
 		
 //=============================================================================
-//  Event Reader Dummy Commands
+//  Event Reader RMMV Commands
 //=============================================================================
 		
-		// The standard interpreter should never see this.
-		EventReader.commands.elif = function (line) {
-			$gameMessage.newPage(); 
-			$gameMessage.add("<WordWrap>Whoops, this shouldn't be legally reachable: \n",
-							 EventReader.__getCommandCode(line),
-							 "\nPlease report the event this is in to Demi ASAP to get it fixed!");
-		};
+		// Prep the RMMV commands wrapper. Each is keyed by a command that stands for RMMV event commands,
+		// and builds them from the command's parsed args. The compiler builds its commands from these too.
+		EventReader.rmmvCommands = {};
 		
-		// The standard interpreter should never see this.
-		EventReader.commands.endIf = function (line) {
-			$gameMessage.newPage(); 
-			$gameMessage.add("<WordWrap>Whoops, this shouldn't be legally reachable: \n",
-							 EventReader.__getCommandCode(line),
-							 "\nPlease report the event this is in to Demi ASAP to get it fixed!");
+		// Adds a command that hands the RMMV commands it builds to the interpreter, the same way stateCommand does.
+		// The reader waits for them to finish before reading on, so a wait or a fade holds up the event like it should.
+		EventReader.__registerRMMVCommand = function (name, schema, build) {
+			this.rmmvCommands[name] = build;
+			this.pausingCommands[name] = true;
+			this.registerCommand(name, schema, function (args, cntxt) {
+				build(args).forEach(function (command) {
+					cntxt.__pushCommand({ code: command.code, indent: $gameMap._interpreter._indent, parameters: command.parameters });
+				});
+				return true;
+			});
 		};
 		
-		// The standard interpreter should never see this.
-		EventReader.commands.endWhile = function (line) {
-			$gameMessage.newPage(); 
-			$gameMessage.add("<WordWrap>Whoops, this shouldn't be legally reachable: \n",
-							 EventReader.__getCommandCode(line),
-							 "\nPlease report the event this is in to Demi ASAP to get it fixed!");
-		};
+		// The args every sound is played with, after its file name. Names with spaces go in double-quotes.
+		EventReader.__audioSchema = [
+			{ name: "name", type: "string" },
+			{ name: "volume", type: "integer", min: 0, optional: true, default: 90 },
+			{ name: "pitch", type: "integer", min: 0, optional: true, default: 100 },
+			{ name: "pan", type: "integer", optional: true, default: 0 }
+		];
 		
-		// The standard interpreter should never see this.
-		EventReader.commands.endChoice = function (line) {
-			$gameMessage.newPage(); 
-			$gameMessage.add("<WordWrap>Whoops, this shouldn't be legally reachable: \n",
-							 EventReader.__getCommandCode(line),
-							 "\nPlease report the event this is in to Demi ASAP to get it fixed!");
+		// Builds the sound RMMV's audio commands expect from a command's args.
+		EventReader.__audio = function (args) {
+			return { name: args.name, volume: args.volume, pitch: args.pitch, pan: args.pan };
 		};
 		
+		EventReader.__registerRMMVCommand("playBGM", EventReader.__audioSchema, function (args) {
+			return [{ code: 241, parameters: [EventReader.__audio(args)] }];
+		});
+		
+		// Stops the BGM, fading it out over however many seconds are given.
+		EventReader.__registerRMMVCommand("stopBGM", [
+			{ name: "seconds", type: "integer", min: 1, optional: true, default: null }
+		], function (args) {
+			if (args.seconds) { return [{ code: 242, parameters: [args.seconds] }]; }
+			return [{ code: 241, parameters: [{ name: "", volume: 90, pitch: 100, pan: 0 }] }];
+		});
+		
+		EventReader.__registerRMMVCommand("playBGS", EventReader.__audioSchema, function (args) {
+			return [{ code: 245, parameters: [EventReader.__audio(args)] }];
+		});
+		
+		EventReader.__registerRMMVCommand("stopBGS", [
+			{ name: "seconds", type: "integer", min: 1, optional: true, default: null }
+		], function (args) {
+			if (args.seconds) { return [{ code: 246, parameters: [args.seconds] }]; }
+			return [{ code: 245, parameters: [{ name: "", volume: 90, pitch: 100, pan: 0 }] }];
+		});
+		
+		EventReader.__registerRMMVCommand("playME", EventReader.__audioSchema, function (args) {
+			return [{ code: 249, parameters: [EventReader.__audio(args)] }];
+		});
+		
+		// RMMV has no command to stop an ME, so it's stopped by script.
+		EventReader.__registerRMMVCommand("stopME", [], function (args) {
+			return [{ code: 355, parameters: ["AudioManager.stopMe();"] }];
+		});
+		
+		EventReader.__registerRMMVCommand("playSE", EventReader.__audioSchema, function (args) {
+			return [{ code: 250, parameters: [EventReader.__audio(args)] }];
+		});
+		
+		EventReader.__registerRMMVCommand("stopSE", [], function (args) {
+			return [{ code: 251, parameters: [] }];
+		});
+		
+		// Shows a picture from img/pictures, e.g. '```showPicture: 1 Sunset 408 312 255 100 100 center'.
+		EventReader.__registerRMMVCommand("showPicture", [
+			{ name: "id", type: "integer", min: 1 },
+			{ name: "name", type: "string" },
+			{ name: "x", type: "number", optional: true, default: 0 },
+			{ name: "y", type: "number", optional: true, default: 0 },
+			{ name: "opacity", type: "integer", min: 0, optional: true, default: 255 },
+			{ name: "scaleX", type: "number", optional: true, default: 100 },
+			{ name: "scaleY", type: "number", optional: true, default: 100 },
+			{ name: "origin", type: "choice", values: EventReader.pictureOrigins, optional: true, default: 0 },
+			{ name: "blend", type: "choice", values: EventReader.blendModes, optional: true, default: 0 }
+		], function (args) {
+			return [{ code: 231, parameters: [args.id, args.name, args.origin, 0, args.x, args.y, 
+											  args.scaleX, args.scaleY, args.opacity, args.blend] }];
+		});
+		
+		// Moves a picture over a number of frames, e.g. '```movePicture: 1 0 0 60 false'.
+		// Waits for the move to finish, unless told not to.
+		EventReader.__registerRMMVCommand("movePicture", [
+			{ name: "id", type: "integer", min: 1 },
+			{ name: "x", type: "number" },
+			{ name: "y", type: "number" },
+			{ name: "duration", type: "integer", min: 1, optional: true, default: 60 },
+			{ name: "wait", type: "boolean", optional: true, default: true },
+			{ name: "opacity", type: "integer", min: 0, optional: true, default: 255 },
+			{ name: "scaleX", type: "number", optional: true, default: 100 },
+			{ name: "scaleY", type: "number", optional: true, default: 100 },
+			{ name: "origin", type: "choice", values: EventReader.pictureOrigins, optional: true, default: 0 },
+			{ name: "blend", type: "choice", values: EventReader.blendModes, optional: true, default: 0 }
+		], function (args) {
+			return [{ code: 232, parameters: [args.id, 0, args.origin, 0, args.x, args.y, args.scaleX, args.scaleY, 
+											  args.opacity, args.blend, args.duration, args.wait] }];
+		});
+		
+		EventReader.__registerRMMVCommand("erasePicture", [
+			{ name: "id", type: "integer", min: 1 }
+		], function (args) {
+			return [{ code: 235, parameters: [args.id] }];
+		});
+		
+		EventReader.__registerRMMVCommand("fadeOut", [], function (args) {
+			return [{ code: 221, parameters: [] }];
+		});
+		
+		EventReader.__registerRMMVCommand("fadeIn", [], function (args) {
+			return [{ code: 222, parameters: [] }];
+		});
+		
+		EventReader.__registerRMMVCommand("wait", [
+			{ name: "frames", type: "integer", min: 1 }
+		], function (args) {
+			return [{ code: 230, parameters: [args.frames] }];
+		});
+		
+		// Moves the player to a map, by its name or id, e.g. '```transfer: Beach 12 8 up'.
+		EventReader.__registerRMMVCommand("transfer", [
+			{ name: "map", type: "database", table: "$dataMapInfos" },
+			{ name: "x", type: "integer", min: 0 },
+			{ name: "y", type: "integer", min: 0 },
+			{ name: "direction", type: "choice", values: EventReader.directions, optional: true, default: 0 },
+			{ name: "fade", type: "choice", values: EventReader.fadeTypes, optional: true, default: 0 }
+		], function (args) {
+			return [{ code: 201, parameters: [0, args.map, args.x, args.y, args.direction, args.fade] }];
+		});
+		
+		// Shows a balloon over the player or an event, e.g. '```balloon: this exclamation true'.
+		EventReader.__registerRMMVCommand("balloon", [
+			{ name: "target", type: "character" },
+			{ name: "balloon", type: "choice", values: EventReader.balloons },
+			{ name: "wait", type: "boolean", optional: true, default: false }
+		], function (args) {
+			return [{ code: 213, parameters: [args.target, args.balloon, args.wait] }];
+		});
+		
+		// Plays an animation on the player or an event, by the animation's name or id.
+		EventReader.__registerRMMVCommand("animation", [
+			{ name: "target", type: "character" },
+			{ name: "animation", type: "database", table: "$dataAnimations" },
+			{ name: "wait", type: "boolean", optional: true, default: false }
+		], function (args) {
+			return [{ code: 212, parameters: [args.target, args.animation, args.wait] }];
+		});
+		
+		// The RMMV commands that change how many of an item the party has, by the table the item's from.
+		EventReader.itemCodes = { $dataItems: 126, $dataWeapons: 127, $dataArmors: 128 };
+		
+		// Gives the party items, weapons or armor, by name, e.g. '```giveItem: Potion 3'.
+		EventReader.__registerRMMVCommand("giveItem", [
+			{ name: "item", type: "item" },
+			{ name: "amount", type: "integer", min: 1, optional: true, default: 1 }
+		], function (args) {
+			let params = [args.item.id, 0, 0, args.amount];
+			if (args.item.table !== "$dataItems") { params.push(false); }
+			return [{ code: EventReader.itemCodes[args.item.table], parameters: params }];
+		});
+		
+		// Takes items, weapons or armor from the party, by name. Weapons and armor being worn are taken too, if told to.
+		EventReader.__registerRMMVCommand("takeItem", [
+			{ name: "item", type: "item" },
+			{ name: "amount", type: "integer", min: 1, optional: true, default: 1 },
+			{ name: "includeEquip", type: "boolean", optional: true, default: false }
+		], function (args) {
+			let params = [args.item.id, 1, 0, args.amount];
+			if (args.item.table !== "$dataItems") { params.push(args.includeEquip); }
+			return [{ code: EventReader.itemCodes[args.item.table], parameters: params }];
+		});
+		
+		// Gives the party gold, or takes it if the amount's negative.
+		EventReader.__registerRMMVCommand("gainGold", [
+			{ name: "amount", type: "integer" }
+		], function (args) {
+			return [{ code: 125, parameters: [args.amount < 0 ? 1 : 0, 0, Math.abs(args.amount)] }];
+		});
+		
+		// Adds an actor to the party, by name, resetting them to their starting state if told to.
+		EventReader.__registerRMMVCommand("addActor", [
+			{ name: "actor", type: "database", table: "$dataActors" },
+			{ name: "initialize", type: "boolean", optional: true, default: false }
+		], function (args) {
+			return [{ code: 129, parameters: [args.actor, 0, args.initialize] }];
+		});
+		
+		EventReader.__registerRMMVCommand("removeActor", [
+			{ name: "actor", type: "database", table: "$dataActors" }
+		], function (args) {
+			return [{ code: 129, parameters: [args.actor, 1, false] }];
+		});
+		
+		// Gives an actor experience, by name, or takes it if the amount's negative.
+		EventReader.__registerRMMVCommand("changeExp", [
+			{ name: "actor", type: "database", table: "$dataActors" },
+			{ name: "amount", type: "integer" },
+			{ name: "showLevelUp", type: "boolean", optional: true, default: false }
+		], function (args) {
+			return [{ code: 315, parameters: [0, args.actor, args.amount < 0 ? 1 : 0, 0, Math.abs(args.amount), args.showLevelUp] }];
+		});
+		
 		
 //=============================================================================
-//  Event Reader Helper Functions
+//  Event Reader Argument Types
 //=============================================================================
 		
-		// Runs the given block, then returns us back to running the block from before.
-		EventReader.__runBlock = function(block, cntxt) {
-			this.lastSeenBlock = block;
-			let tempLines = cntxt.lines;
-			let tempCurr = cntxt.curr;
-			cntxt.lines = block;
-			cntxt.__processLines();
-			cntxt.lines = tempLines;
-			cntxt.curr = tempCurr;
-		};
-		
-		// Returns an array of lines that defines an if-block.
-		// Valid blocks:  stateIf => elif; elif => elif; stateIf => endIf; elif => endIf
-		EventReader.__getIfBlock = function (init) {
-			
-			// Loop until we see an ending statement or exhaust all lines.
-			// Add anything that doesn't end the statement to the IfBlock.
-			let block = [];
-			let endSeen = false;
-			for (let i = init; !endSeen && i < this.lines.length; i++) {
-				
-				let line = this.lines[i];
-				if (this.__isCommand(line) 
-				 && this.__getCommandCode(line) === "elif" 
-			     || this.__getCommandCode(line) === "endIf" ) {
-					endSeen = true;
-				} else {
-					block.push(line);
-				}
-			}
-			
-			return block;
+		// Prep the argument types wrapper. Each type is keyed by the name schemas use for it.
+		// A type parses the token it's given into the value the handler sees, or throws a description of what it expected.
+		// Types marked 'rest' are given everything left on the line rather than the next token.
+		EventReader.argTypes = {};
+		
+		// A single word, kept exactly as written. Quotes are kept too.
+		EventReader.argTypes.word = {
+			parse: function (token) { return token; }
 		};
 		
-		// Returns an array of lines that defines a while-block.
-		EventReader.__getWhileBlock = function (init) {
-			
-			// Loop until we see an ending statement or exhaust all lines.
-			// Add anything that doesn't end the statement to the IfBlock.
-			let block = [];
-			let endSeen = false;
-			for (let i = init; !endSeen && i < this.lines.length; i++) {
-				
-				let line = this.lines[i];
-				if (this.__isCommand(line) && this.__getCommandCode(line) === "endWhile") {
-					endSeen = true;
-				} else {
-					block.push(line);
-				}
+		// A word, or a phrase in double-quotes. The quotes are dropped.
+		EventReader.argTypes.string = {
+			parse: function (token) { return token.replace(/^"(.*)"$/, "$1"); }
+		};
+		
+		EventReader.argTypes.number = {
+			parse: function (token, spec) {
+				let value = Number(token);
+				if (token.trim() === "" || isNaN(value)) { throw "a number"; }
+				if (spec.min !== undefined && value < spec.min) { throw "a number of at least " + spec.min; }
+				return value;
 			}
-			
-			return block;
 		};
 		
-		// Returns an array of lines that defines a choice-block.
-		EventReader.__getChoiceBlock = function (init, choice) {
-			
-			
-			// Add lines to the block until we see an ending statement or another choice.
-			let block = [];
-			let choiceFound = false;
-			let endSeen = false;
-			
-			// If we're within a block of some sort, properly observe the inside of the block.
-			let theLines = "";
-			if (this.lastSeenBlock) {
-				theLines = this.lastSeenBlock;
-			} else {
-				theLines = this.lines;
+		EventReader.argTypes.integer = {
+			parse: function (token, spec) {
+				let value = Number(token);
+				if (!Number.isInteger(value)) { throw "a whole number"; }
+				if (spec.min !== undefined && value < spec.min) { throw "a whole number of at least " + spec.min; }
+				return value;
 			}
+		};
+		
+		EventReader.argTypes.boolean = {
+			parse: function (token) {
+				if (token.toLowerCase() !== "true" && token.toLowerCase() !== "false") { throw "true or false"; }
+				return token.toLowerCase() === "true";
+			}
+		};
+		
+		// One of a set of names, given as the schema's values. The handler gets the value the name is keyed to.
+		EventReader.argTypes.choice = {
+			parse: function (token, spec) {
+				let name = token.toLowerCase();
+				if (!spec.values.hasOwnProperty(name)) { throw "one of " + Object.keys(spec.values).join(", "); }
+				return spec.values[name];
+			}
+		};
+		
+		// The name of a switch in the database, like 's_met'. The handler gets the name without its quotes.
+		EventReader.argTypes.switch = {
+			parse: function (token) {
+				let name = EventReader.__formatVar(token);
+				if (!LogicEvaluator.__isRMMVSwitch(name)) { throw "a switch name like 's_met'"; }
+				if ($dataSystem.switches.indexOf(name) === -1) { throw new EventError("DataNotFound", "there's no switch named '" + name + "'."); }
+				return name;
+			}
+		};
+		
+		// The name of a variable in the database, like 'v_day', or a local variable, like 'l_count'.
+		EventReader.argTypes.variable = {
+			parse: function (token) {
+				let name = EventReader.__formatVar(token);
+				if (LogicEvaluator.__isLocalVar(name)) { return name; }
+				if (!LogicEvaluator.__isRMMVVar(name)) { throw "a variable name like 'v_day' or 'l_count'"; }
+				if ($dataSystem.variables.indexOf(name) === -1) { throw new EventError("DataNotFound", "there's no variable named '" + name + "'."); }
+				return name;
+			}
+		};
+		
+		// The rest of the line, as written.
+		EventReader.argTypes.text = {
+			rest: true,
+			parse: function (token) { return token; }
+		};
+		
+		// The rest of the line, as a statement for the LogicEvaluator. It's checked, but not run.
+		EventReader.argTypes.expression = {
+			rest: true,
+			parse: function (token) {
+				LogicEvaluator.__validate(token);
+				return token;
+			}
+		};
+		
+		// The rest of the line, as LogicEvaluator statements split on the commas between them. Each is checked, but not run.
+		EventReader.argTypes.expressions = {
+			rest: true,
+			parse: function (token) {
+				let statements = LogicEvaluator.__splitStatements(token);
+				statements.forEach(function (statement) { LogicEvaluator.__validate(statement); });
+				return statements;
+			}
+		};
+		
+		// The rest of the line, split into words. Anything in double or single quotes is kept together, with its quotes.
+		EventReader.argTypes.list = {
+			rest: true,
+			parse: function (token) { return EventReader.__splitArgs(token); }
+		};
+		
+		// An entry in one of RMMV's database tables, like $dataAnimations, named by the schema's table.
+		// Entries can be given by name or by id. The handler gets the id.
+		EventReader.argTypes.database = {
+			parse: function (token, spec) {
+				return EventReader.__findData(spec.table, token.replace(/^"(.*)"$/, "$1"), spec.name);
+			}
+		};
+		
+		// An item, weapon or armor, by name. Items are looked for first, then weapons, then armor.
+		// Items can be given by id too. The handler gets the table the entry was found in, and its id.
+		EventReader.argTypes.item = {
+			parse: function (token) {
+				return EventReader.__findItem(token.replace(/^"(.*)"$/, "$1"));
+			}
+		};
+		
+		// The character a command acts on: the player, the event being run, or another event by its id.
+		// The handler gets the id RMMV uses for it.
+		EventReader.argTypes.character = {
+			parse: function (token) {
+				let name = token.toLowerCase();
+				if (name === "player") { return -1; }
+				if (name === "this") { return 0; }
+				if (!/^\d+$/.test(name) || Number(name) < 1) { throw "player, this or an event's id"; }
+				return Number(name);
+			}
+		};
+
+		
+		
+//=============================================================================
+//  Event Reader Blocks
+//=============================================================================
+		
+		// Prep the blocks wrapper. Each block is keyed by the type of node the EventParser made for it.
+		EventReader.blocks = {};
+		
+		// Runs the first branch of an if statement whose condition is true.
+		// Its elif branches are checked in order; an 'elif: true' acts as an else.
+		EventReader.blocks.If = function (node, cntxt, frame) {
+			for (let branch of node.branches) {
+				if (cntxt.__evaluateCondition(branch, branch.condition, frame)) {
+					cntxt.__pushFrame(frame.file, branch.line);
+					break;
+				}
+			}
+		};
+		
+		// Runs a while statement's block if its condition is true.
+		// The condition is checked again each time the block ends, up to EventReader.maxLoopIterations times.
+		EventReader.blocks.While = function (node, cntxt, frame) {
+			if (node.body.length > 0 && cntxt.__evaluateCondition(node, node.condition, frame)) {
+				cntxt.__pushFrame(frame.file, node.line);
+			}
+		};
+		
+		// Creates an RMMV choice. 
+		// Adding 'd' to the left of a choice makes it default. Adding 'c' to the left of a choice makes it a cancel. 
+		EventReader.blocks.Choice = function (node, cntxt, frame) {
+	
+			// Set the 'default' option to the first choice by default.
+			let defaultOption = 0;
 			
-			for (let i = init; !endSeen && i < theLines.length; i++) {
+			// Turn off the 'cancel' option by default.
+			let cancelOption = -1;
+			
+			// Construct the choices.
+			let args = cntxt.__splitChoices(cntxt.__substitute(node.args, frame));
+			let choices = [];
+			for (let i = 0; i < args.length; i++) {
 				
-				let line = theLines[i];
-				let isChoiceCommand = this.__isCommand(line) && !isNaN(this.__getCommandCode(line));
+				choices.push(cntxt.__formatVar(args[i]));
 				
-				if (isChoiceCommand && !choiceFound && parseInt(this.__getCommandCode(line)) === choice) {
-					choiceFound = true;
-				} else if ((isChoiceCommand && choiceFound || this.__getCommandCode(line) === "endChoice") && !endSeen) {
-					endSeen = true;
-				} else if (choiceFound) {
-					block.push(line);
-				}
+				// Check if the option is default or cancel.
+				if (cntxt.__isDefault(args[i])) { defaultOption = i; }
+				else if (cntxt.__isCancel(args[i])) { cancelOption = i; }
 			}
 			
+			// Assign the choices, and the block to read on a choice.
+			$gameMessage.setChoices(choices, defaultOption, cancelOption);
+			$gameMessage.setChoiceCallback(function(choice) {
+				this.__state.choice = this.__getChoiceBlock(node, choice, frame.file);
+			}.bind(cntxt));
+			
+			// Wait for the player to choose before reading any further.
+			cntxt.__pushPause();
+		};
+		
+		// Macros are only run when they're called, so their definitions are passed over.
+		EventReader.blocks.Macro = function (node, cntxt, frame) {};
+		
+		
+//=============================================================================
+//  Event Reader Formats
+//=============================================================================
+		
+		// Prep the formats wrapper. Each format is keyed by the name used after a '|' in a '{...}' of a message line,
+		// and is given the value to format along with any words written after its name.
+		EventReader.formats = {};
+		
+		// Pads a number with zeroes, or another character, up to a width. e.g. '{'v_day' | pad 3}' shows '007'.
+		EventReader.formats.pad = function (value, args) {
+			return String(value).padStart(Number(args[0]) || 0, args[1] || "0");
+		};
+		
+		// Shows a number followed by a word, made plural unless the number is 1.
+		// The plural is the word with an 's' added, unless it's given, e.g. '{'v_kids' | plural child children}'.
+		EventReader.formats.plural = function (value, args) {
+			let word = Number(value) === 1 ? args[0] : (args[1] || args[0] + "s");
+			return value + " " + word;
+		};
+		
+		// Separates the thousands of a number with commas, e.g. '1,250'.
+		EventReader.formats.commas = function (value, args) {
+			return Number(value).toLocaleString("en-US", { maximumFractionDigits: 20 });
+		};
+		
+		// Rounds a number to a set number of decimal places.
+		EventReader.formats.fixed = function (value, args) {
+			return Number(value).toFixed(Number(args[0]) || 0);
+		};
+		
+		
+//=============================================================================
+//  Event Reader Helper Functions
+//=============================================================================
+		
+		// Starts running the given block of a file, returning to the current block once it's done.
+		// The block runs in the same scope as the frame that started it.
+		EventReader.__pushFrame = function (file, block) {
+			let top = this.__topFrame();
+			this.__state.stack.push({ file: file, block: block, index: 0, scope: top.scope, call: false, 
+									  message: Object.assign({}, top.message), iterations: 0 });
+		};
+		
+		// Starts running a file or macro in a scope of its own. Its arguments are keyed by the parameter they fill.
+		// Local variables set inside it are thrown away once it ends.
+		EventReader.__pushCall = function (file, block, macro, args) {
+			let state = this.__state;
+			if (state.scopes.length >= this.maxCallDepth) {
+				let chain = state.scopes.slice(-5).map(function (s) { return s.macro ? s.file + "#" + s.macro : s.file; });
+				throw new EventError("RecursionError", "files and macros were called more than " + this.maxCallDepth + 
+									 " deep, ending with " + chain.join(" -> ") + ". Is something calling itself forever?");
+			}
+			
+			let top = this.__topFrame();
+			let message = top ? Object.assign({}, top.message) : this.__defaultMessage();
+			state.scopes.push({ file: file, macro: macro, args: args, locals: {} });
+			state.stack.push({ file: file, block: block, index: 0, scope: state.scopes.length - 1, call: true, message: message, iterations: 0 });
+		};
+		
+		// Removes the innermost frame, dropping its scope if it started a call. Returns the removed frame.
+		// The message window settings from before the frame come back, so lines queued with its settings are shown first.
+		EventReader.__popFrame = function () {
+			let frame = this.__state.stack.pop();
+			if (frame.call) { this.__state.scopes.pop(); }
+			
+			let top = this.__topFrame();
+			let restored = top && (top.message.background !== frame.message.background || top.message.position !== frame.message.position);
+			if (restored && $gameMessage.hasText()) { this.__pushPause(); }
+			this.__state.pageLines = 0;
+			return frame;
+		};
+		
+		// Returns the frame being run.
+		EventReader.__topFrame = function () {
+			return this.__state.stack[this.__state.stack.length - 1];
+		};
+		
+		// Ends a frame once it's run out of nodes. Loops go back to their start if their condition is still true.
+		EventReader.__endFrame = function (frame, block) {
+			if (block.owner && block.owner.type === "While" && this.__evaluateCondition(block.owner, block.owner.condition, frame)) {
+				this.__nextIteration(block.owner, frame);
+			} else {
+				this.__popFrame();
+			}
+		};
+		
+		// Starts a loop's block over. Throws once it's gone round more times than any loop should.
+		// Loops that can wait on RMMV hand it a frame each time around, so the game carries on while they run.
+		EventReader.__nextIteration = function (loop, frame) {
+			frame.index = 0;
+			frame.iterations++;
+			if (frame.iterations >= this.maxLoopIterations) {
+				throw new EventError("LoopError", "this stateWhile went round " + this.maxLoopIterations + " times without its condition " +
+									 "turning false. Is it ever met? The limit is EventReader.maxLoopIterations.", loop);
+			}
+			if (this.__canPause(loop.body)) { this.__pushPause(); }
+		};
+		
+		// Whether any node in a block, or the blocks inside it, can make the reader wait on RMMV.
+		// Lines of text count too, since they're shown before the reader goes on.
+		EventReader.__canPause = function (body) {
+			return body.some(function (node) {
+				if (node.type === "Text" || node.type === "Choice") { return true; }
+				if (node.type === "Command") { return this.pausingCommands.hasOwnProperty(node.code); }
+				if (node.type === "If") { return node.branches.some(function (branch) { return this.__canPause(branch.body); }, this); }
+				return node.type === "While" && this.__canPause(node.body);
+			}, this);
+		};
+		
+		// Drops the frames of any blocks inside the innermost loop, returning the frame running the loop's block.
+		EventReader.__unwindToLoop = function () {
+			let frame = this.__topFrame();
+			while (!this.__isLoopFrame(frame)) {
+				if (frame.call) { throw new EventError("ScopeError", "break and continue can only be used inside a stateWhile."); }
+				this.__popFrame();
+				frame = this.__topFrame();
+			}
+			return frame;
+		};
+		
+		EventReader.__isLoopFrame = function (frame) {
+			let owner = this.__getBlock(frame).owner;
+			return !!owner && owner.type === "While";
+		};
+		
+		// Fills in a bit of text with the arguments of the macro the frame is running in.
+		EventReader.__substitute = function (text, frame) {
+			return this.__fillArgs(text, this.__state.scopes[frame.scope].args);
+		};
+		
+		// Fills in any '$parameter' in a bit of text with its argument. Anything that isn't a parameter is left as is.
+		EventReader.__fillArgs = function (text, args) {
+			return text.replace(/\$(\w+)/g, function (match, name) {
+				return args.hasOwnProperty(name) ? args[name] : match;
+			});
+		};
+		
+		// Returns the value of a local variable in the scope being run. Throws if it hasn't been set.
+		EventReader.__getLocal = function (name) {
+			let locals = this.__currentLocals();
+			if (!locals.hasOwnProperty(name)) {
+				throw new EventError("DataNotFound", "the local variable '" + name + "' hasn't been set in this file or macro.");
+			}
+			return locals[name];
+		};
+		
+		// Sets a local variable in the scope being run.
+		EventReader.__setLocal = function (name, value) {
+			this.__currentLocals()[name] = value;
+		};
+		
+		// Returns the local variables of the scope being run.
+		EventReader.__currentLocals = function () {
+			if (!this.__state || this.__state.stack.length === 0) {
+				throw new EventError("ScopeError", "local variables can only be used while an event is being read.");
+			}
+			return this.__state.scopes[this.__topFrame().scope].locals;
+		};
+		
+		// Returns a macro along with the file it's in. Names like 'Shops.txt#greet' look in another file.
+		EventReader.__findMacro = function (name, currentFile) {
+			let file = currentFile;
+			let split = name.indexOf("#");
+			if (split !== -1) {
+				file = this.__resolveInclude(name.substring(0, split), currentFile);
+				name = name.substring(split + 1);
+			}
+			
+			let macro = this.__loadScript(file).macros[name];
+			if (!macro) {
+				throw new EventError("DataNotFound", "there's no macro named '" + name + "' in " + file + ".");
+			}
+			return { file: file, macro: macro };
+		};
+		
+		// Returns the path of a file opened from another, looking next to that file first, then in eventFolder
+		// and each of includePaths.
+		EventReader.__resolveInclude = function (name, currentFile) {
+			let folders = [this.path.dirname(currentFile), this.eventFolder].concat(this.includePaths);
+			let candidates = [];
+			folders.forEach(function (folder) {
+				let filepath = this.path.join(folder, name);
+				if (!candidates.includes(filepath)) { candidates.push(filepath); }
+			}, this);
+			
+			for (let filepath of candidates) {
+				if (this.fs.existsSync(filepath)) { return filepath; }
+			}
+			throw new EventError("FileNotFound", "couldn't find " + name + " in " + candidates.join(" or ") + ".");
+		};
+		
+		// Stops a file being opened while it's still open further down the stack, since it'd open itself forever.
+		EventReader.__checkInclude = function (filepath) {
+			let files = this.__state.scopes.filter(function (s) { return s.macro === null; }).map(function (s) { return s.file; });
+			if (files.includes(filepath)) {
+				throw new EventError("IncludeError", filepath + " is already open, so opening it again would never finish: " + 
+									 files.concat([filepath]).join(" -> ") + ".");
+			}
+		};
+		
+		// Returns where each frame on the stack is, outermost first, as the file and line of the node it ran last.
+		EventReader.__trace = function () {
+			if (!this.__state) { return []; }
+			return this.__state.stack.map(function (frame) {
+				let node = this.__getBlock(frame).body[frame.index - 1];
+				return frame.file + ":" + (node ? node.line : frame.block);
+			}, this);
+		};
+		
+		// Returns the block a frame is running.
+		EventReader.__getBlock = function (frame) {
+			let block = this.__loadScript(frame.file).blocks[frame.block];
+			if (!block) {
+				throw new EventError("StateError", "there's no block at " + frame.file + ":" + frame.block + 
+									 " to return to. Has the file changed since this game was saved?");
+			}
 			return block;
 		};
 		
-		EventReader.__getCommandCode = function (line) {
-			let code = line.split(':')[0];
-			return code.substring(3, code.length);
+		// Returns a copy of the execution state to write into a save file, or null if no event is running.
+		EventReader.__saveState = function () {
+			if (!this.__state) { return null; }
+			return { version: this.stateVersion, state: JSON.parse(JSON.stringify(this.__state)) };
+		};
+		
+		// Restores the execution state from a save file, upgrading it from older versions if it needs to.
+		// The interpreter is rebuilt from the restored stack the next time the reader resumes.
+		EventReader.__loadState = function (saved) {
+			this.__running = null;
+			this.__pause = null;
+			this.__state = null;
+			if (!saved) { return; }
+			
+			if (saved.version > this.stateVersion) {
+				throw new EventError("StateError", "this save was made by a newer version of the EventReader (v" + saved.version + ").");
+			}
+			
+			let state = saved.state;
+			for (let v = saved.version; v < this.stateVersion; v++) {
+				state = this.__stateMigrations[v](state);
+			}
+			this.__state = state;
 		};
 		
-		EventReader.__getCommandArgs = function (line) { return line.split(':')[1].trim(); };
+		// Returns the syntax tree of an event file, parsing it the first time it's asked for.
+		// A file being opened is parsed again if it's been modified since, unless it's still running,
+		// since the frames running it point into the tree they started with.
+		EventReader.__loadScript = function (filepath, opening) {
+			let script = this.__scripts[filepath];
+			if (script && (!opening || this.__isRunning(filepath))) { return script; }
+			
+			let mtime = this.fs.statSync(filepath).mtimeMs;
+			if (!script || script.mtime !== mtime) {
+				script = EventParser.parse(this.__processFile(filepath), filepath);
+				script.mtime = mtime;
+				this.__scripts[filepath] = script;
+			}
+			return script;
+		};
 		
-		EventReader.__isCommand = function (line) {
-			return line.charAt(0) === '`' && line.charAt(1) === '`' && line.charAt(2) === '`'; 
+		// Drops a parsed file, so it's read again the next time it's asked for. A file that's still running keeps its tree,
+		// and is parsed again the next time it's opened, since it'll have been modified since.
+		EventReader.__forgetScript = function (filepath) {
+			filepath = this.path.normalize(filepath);
+			if (!this.__isRunning(filepath)) { delete this.__scripts[filepath]; }
+		};
+		
+		// Returns whether any frame on the stack is running a file.
+		EventReader.__isRunning = function (filepath) {
+			return !!this.__state && this.__state.stack.some(function (frame) { return frame.file === filepath; });
+		};
+		
+		// Returns whether the condition of a block is true, evaluated in the scope of the frame it's run from.
+		// Anything but true, like 1 or "yes", counts as false, the same as in a compiled Conditional Branch.
+		// Errors point at the line the condition is on.
+		EventReader.__evaluateCondition = function (where, condition, frame) {
+			try {
+				return LogicEvaluator.__evaluateLogic(this.__substitute(condition, frame)) === true;
+			} catch (e) {
+				throw EventError.from(e).locate(where);
+			}
+		};
+		
+		// Returns where to find the block belonging to the chosen option of a choice, if it has one.
+		EventReader.__getChoiceBlock = function (node, choice, file) {
+			let option = node.options.find(function (o) { return o.index === choice; });
+			return option ? { file: file, block: option.line } : null;
 		};
-
-		EventReader.__isComment = function (line) {
-			return line === "" || line.charAt(0) === '/' && line.charAt(1) === '/'; 
-		};	
 
 		EventReader.__isCancel = function (variable) {
 			return variable.endsWith("'c");
@@ -541,44 +1495,355 @@ list of commands that can be run within an event.
 		// Trims any command codes and single-quotes around variables.
 		EventReader.__formatVar = function (variable) {
 			if (this.__isCancel(variable)) {
-				return variable.trim().replace(/'c/, "").replace(/'/g, "");
+				return variable.trim().replace(/c$/, "").replace(/'/g, "");
 			} else if (this.__isDefault(variable)) {
-				return variable.trim().replace(/'d/, "").replace(/'/g, "");
+				return variable.trim().replace(/d$/, "").replace(/'/g, "");
 			} else {
 				return variable.trim().replace(/'/g, "");
 			}
 		};
 		
-		// Allows a command to prep a command to run in RMMV.
-		EventReader.__pushCommand = function (theCommand) {
-			this.rmmvCommand = theCommand;
+		// Finds an entry in one of RMMV's database tables, like $dataActors, by its name or id. Returns its id.
+		// The label is what the entry's called if it can't be found, e.g. 'actor'.
+		EventReader.__findData = function (tableName, name, label) {
+			let table = window[tableName] || [];
+			let id = /^\d+$/.test(name) ? Number(name) : table.findIndex(function (entry) { return entry && entry.name === name; });
+			if (!table[id]) { throw new EventError("DataNotFound", "there's no " + label + " named '" + name + "'."); }
+			return id;
+		};
+		
+		// Finds an item, weapon or armor by name, looking through items first, then weapons, then armor.
+		// Items can be found by id too. Returns the table the entry was found in, and its id.
+		EventReader.__findItem = function (name) {
+			if (/^\d+$/.test(name) && (window.$dataItems || [])[Number(name)]) { return { table: "$dataItems", id: Number(name) }; }
+			for (let table of Object.keys(this.itemCodes)) {
+				let id = (window[table] || []).findIndex(function (entry) { return entry && entry.name === name; });
+				if (id !== -1) { return { table: table, id: id }; }
+			}
+			throw new EventError("DataNotFound", "there's no item, weapon or armor named '" + name + "'.");
 		};
 		
-		// Sets up the pushed command for RMMV to run.
-		EventReader.__popCommand = function () {
-			let nextCommand = $gameMap._interpreter._index + 1;
-			$gameMap._interpreter._list[nextCommand] = this.rmmvCommand;
-			$gameMap._interpreter._list[nextCommand + 1] = this.__returnToEvent;
-			this.rmmvCommand = null;
+		// Splits the args of a choice into each choice, keeping quoted choices with spaces in them together.
+		EventReader.__splitChoices = function (args) {
+			return args.match(/'[^']*'[cd]?|\S+/g) || [];
 		};
 		
-		// Saves the event data
-		EventReader.__saveEvent = function () {
-			this.save[this.lastSeenFile] = this.curr;
+		// Returns the message window settings RMMV starts every message with.
+		EventReader.__defaultMessage = function () {
+			return { background: 0, position: 2, linesPerPage: 1 };
 		};
 		
-		// Returns the gameMap back to the event command.
-		EventReader.__returnToEvent = function () {
-			$gameMap._interpreter._index -= 3;
+		// Changes a message window setting of the block being run.
+		EventReader.__setMessage = function (setting, code) {
+			this.__topFrame().message[setting] = code;
+			
+			// Window settings belong to the whole message, so let any lines already queued show with the old ones.
+			if ($gameMessage.hasText()) { this.__pushPause(); }
 		};
 		
-		// Reads choice contents in a separate command from runEvent.
-		// Has to exist as a consequence of the way the update loop works for RMMV.
-		// Essentially, after a callback, the gameMessage is cleared.
-		// Anything added to it is lost, so you can't add more text. 
-		EventReader.__readChoice = function () {
-			$gameVariables.setValue(1, this.choiceBlock);
-			this.choiceBlock = null;
+		// Queues a line of text, shown with the face and name of the speaker if there is one.
+		// Each line gets a page of its own, unless the window's set to fit more lines on a page.
+		// Lines sharing a page are split with a '<br>', as word wrapping would otherwise run them together.
+		EventReader.__addText = function (text, message) {
+			$gameMessage.setBackground(message.background);
+			$gameMessage.setPositionType(message.position);
+			
+			let state = this.__state;
+			if ($gameMessage.hasText() && state.pageLines > 0 && state.pageLines < message.linesPerPage) {
+				$gameMessage.add("<br>" + text);
+				state.pageLines++;
+				return;
+			}
+			
+			let nameBox = "";
+			if (state.speaker) {
+				let speaker = this.__resolveSpeaker(state.speaker);
+				$gameMessage.setFaceImage(speaker.faceName, speaker.faceIndex);
+				nameBox = speaker.name ? this.nameBoxFormat.replace("%1", speaker.name) : "";
+			}
+			
+			$gameMessage.newPage();
+			$gameMessage.add("<WordWrap>" + nameBox + text);
+			state.pageLines = 1;
+		};
+		
+		// Returns the name and face to show for a speaker, from their entry in the character file.
+		// Throws if the character or expression aren't there.
+		EventReader.__resolveSpeaker = function (speaker) {
+			let character = this.__loadCharacters()[speaker.character];
+			if (!character) {
+				throw new EventError("DataNotFound", "there's no character named '" + speaker.character + "' in " + this.characterFile + ".");
+			}
+			
+			let expressions = character.expressions || {};
+			let expression = speaker.expression || character.defaultExpression;
+			if (expression && !expressions.hasOwnProperty(expression)) {
+				throw new EventError("DataNotFound", speaker.character + " has no expression named '" + expression + "'.");
+			}
+			
+			return {
+				name: character.hasOwnProperty("name") ? character.name : speaker.character,
+				faceName: character.faceName || "",
+				faceIndex: expression ? expressions[expression] : 0
+			};
+		};
+		
+		// Returns the characters in the character file, reading it the first time it's asked for.
+		EventReader.__loadCharacters = function () {
+			if (!this.__characters) {
+				this.__characters = JSON.parse(this.__processFile(this.characterFile));
+			}
+			return this.__characters;
+		};
+		
+		// Fills in every '{expression | format}' in a line of text with its value.
+		EventReader.__interpolate = function (text) {
+			return this.__splitInterpolation(text).map(function (piece) {
+				return typeof piece === "string" ? piece : this.__fillPiece(piece);
+			}.bind(this)).join("");
+		};
+		
+		// Evaluates a piece of a line, then runs it through its formats in order.
+		// Conditional pieces show the text of their first branch whose condition is true, or nothing if none are.
+		EventReader.__fillPiece = function (piece) {
+			if (piece.branches) {
+				let branch = piece.branches.find(function (b) { return LogicEvaluator.__evaluateLogic(b.condition) === true; });
+				return branch ? this.__interpolate(branch.text) : "";
+			}
+			
+			let value = LogicEvaluator.__evaluateLogic(piece.expression);
+			return String(piece.formats.reduce(function (formatted, format) {
+				return this.formats[format.name](formatted, format.args);
+			}.bind(this), value));
+		};
+		
+		// Splits a line of text into plain text and the pieces inside '{}' to fill in.
+		// '{{' and '}}' stand for plain braces, and RMMV's own '\{' and '\}' text codes are left alone.
+		// Braces that don't pair up, or hold something that can't be read as a piece, are kept as plain text.
+		// Each of those is noted in literals, if it's given, so the linter can point them out.
+		EventReader.__splitInterpolation = function (text, literals) {
+			let pieces = [];
+			let plain = "";
+			for (let i = 0; i < text.length; i++) {
+				let c = text.charAt(i);
+				let next = text.charAt(i + 1);
+				if (c === "\\" && (next === "{" || next === "}")) {
+					plain += c + next;
+					i++;
+				} else if ((c === "{" || c === "}") && next === c) {
+					plain += c;
+					i++;
+				} else if (c === "{") {
+					let end = this.__matchBrace(text, i);
+					let piece = end === -1 ? null : this.__readPiece(text.substring(i + 1, end), i, literals);
+					if (end === -1) {
+						this.__noteLiteral(literals, "the '{' at column " + (i + 1) + " is never closed");
+						plain += c;
+					} else if (!piece) {
+						plain += text.substring(i, end + 1);
+						i = end;
+					} else {
+						pieces.push(plain, piece);
+						plain = "";
+						i = end;
+					}
+				} else if (c === "}") {
+					this.__noteLiteral(literals, "there's a '}' with no '{' at column " + (i + 1));
+					plain += c;
+				} else {
+					plain += c;
+				}
+			}
+			pieces.push(plain);
+			return pieces.filter(function (piece) { return piece !== ""; });
+		};
+		
+		// Returns where the brace opened at a position is closed, counting any braces inside it, or -1 if it never is.
+		EventReader.__matchBrace = function (text, open) {
+			let depth = 0;
+			for (let i = open; i < text.length; i++) {
+				if (text.charAt(i) === "{") { depth++; }
+				if (text.charAt(i) === "}" && --depth === 0) { return i; }
+			}
+			return -1;
+		};
+		
+		// Reads what's inside the '{}' opened at a position into a piece, checking every expression in it.
+		// Returns null if it can't be read, so the braces are shown as they are.
+		EventReader.__readPiece = function (inside, open, literals) {
+			try {
+				let piece = this.__parsePiece(inside);
+				this.__pieceExpressions(piece).forEach(function (expression) { LogicEvaluator.__validate(expression); });
+				return piece;
+			} catch (e) {
+				this.__noteLiteral(literals, "the '{' at column " + (open + 1) + " can't be filled in (" + EventError.from(e).detail.replace(/\.$/, "") + ")");
+				return null;
+			}
+		};
+		
+		// Notes braces that are shown as they are, for whoever asked to know about them.
+		EventReader.__noteLiteral = function (literals, reason) {
+			if (literals) {
+				literals.push(new EventError("SyntaxError", reason + ", so it's shown as is. Use '{{' and '}}' to show a brace."));
+			}
+		};
+		
+		// Reads what's inside a '{}' into the expression to evaluate and the formats to run it through,
+		// or into the branches of a conditional piece.
+		EventReader.__parsePiece = function (inside) {
+			if (/^\s*if\s/.test(inside)) { return this.__parseConditional(inside); }
+			
+			let split = this.__splitOutside(inside, "|");
+			let formats = split.slice(1).map(function (format) {
+				let words = format.trim().split(/\s+/);
+				if (!this.formats.hasOwnProperty(words[0])) {
+					throw new EventError("SyntaxError", "'" + words[0] + "' isn't a recognized format.");
+				}
+				return { name: words[0], args: words.slice(1) };
+			}.bind(this));
+			return { expression: split[0], formats: formats };
+		};
+		
+		// Reads a conditional piece, like '{if 's_met': welcome back | elif 'v_day' > 3: hi | else: nice to meet you}'.
+		// Branch text can hold pieces of its own. A single space either side of it is ignored.
+		EventReader.__parseConditional = function (inside) {
+			let parts = this.__splitOutside(inside, "|");
+			let branches = parts.map(function (part, i) {
+				let match = /^\s*(if|elif|else)\b\s*/.exec(part);
+				let keyword = match ? match[1] : null;
+				let expected = i === 0 ? ["if"] : (i === parts.length - 1 ? ["elif", "else"] : ["elif"]);
+				if (!expected.includes(keyword)) {
+					throw new EventError("SyntaxError", "expected " + expected.join(" or ") + " at the start of '" + part.trim() + "'.");
+				}
+				
+				let rest = part.substring(match[0].length);
+				let colon = this.__splitOutside(rest, ":")[0].length;
+				if (colon >= rest.length) {
+					throw new EventError("SyntaxError", "expected a ':' before the text of '" + part.trim() + "'.");
+				}
+				if (keyword === "else" && rest.substring(0, colon).trim() !== "") {
+					throw new EventError("SyntaxError", "else doesn't take a condition.");
+				}
+				
+				let text = rest.substring(colon + 1).replace(/^ /, "").replace(/ $/, "");
+				return { condition: keyword === "else" ? "true" : rest.substring(0, colon), text: text };
+			}.bind(this));
+			return { branches: branches };
+		};
+		
+		// Returns every expression a piece evaluates, including any in the text of its branches.
+		EventReader.__pieceExpressions = function (piece) {
+			if (!piece.branches) { return [piece.expression]; }
+			
+			let found = [];
+			piece.branches.forEach(function (branch) {
+				found.push(branch.condition);
+				this.__splitInterpolation(branch.text).forEach(function (inner) {
+					if (typeof inner !== "string") { found = found.concat(this.__pieceExpressions(inner)); }
+				}.bind(this));
+			}.bind(this));
+			return found;
+		};
+		
+		// Splits text on a separator, except where it's inside a '{}'.
+		EventReader.__splitOutside = function (text, separator) {
+			let split = [];
+			let depth = 0;
+			let start = 0;
+			for (let i = 0; i < text.length; i++) {
+				let c = text.charAt(i);
+				if (c === "{") { depth++; }
+				else if (c === "}") { depth--; }
+				else if (c === separator && depth === 0) {
+					split.push(text.substring(start, i));
+					start = i + 1;
+				}
+			}
+			split.push(text.substring(start));
+			return split;
+		};
+		
+		// Splits the args of a macro call, keeping anything in double or single quotes together.
+		// Only the double-quotes are there for grouping. Single-quotes belong to the var or switch name they wrap.
+		EventReader.__splitArgs = function (args) {
+			return args.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+		};
+		
+		// Parses a command's args by its schema, returning them keyed by name.
+		// Throws if an arg is missing, isn't what its type expects, or there's more on the line than the command takes.
+		EventReader.__parseArgs = function (command, rawArgs) {
+			let args = {};
+			let rest = rawArgs.trim();
+			for (let spec of this.schemas[command]) {
+				
+				// Take the next token off the line, or the whole rest of it if the type wants that.
+				let type = spec.literal ? null : this.argTypes[spec.type];
+				let token = rest;
+				if (type && type.rest) {
+					rest = "";
+				} else {
+					let symbol = this.__symbolAt(rest, spec.literal ? [spec.literal] : (spec.type === "choice" ? Object.keys(spec.values) : []));
+					let match = symbol ? [symbol, symbol] : /^("[^"]*"|'[^']*'\w*|\S+)\s*/.exec(rest);
+					token = match ? match[1] : "";
+					rest = rest.substring(match ? match[0].length : 0).trim();
+				}
+				
+				if (spec.literal) {
+					if (token !== spec.literal) {
+						throw new EventError("InvalidInputError", command + " expects '" + spec.literal + "' here, but got '" + token + "'.");
+					}
+				} else if (token === "") {
+					if (!spec.optional) { throw new EventError("InvalidInputError", command + " is missing its " + spec.name + "."); }
+					args[spec.name] = spec.default;
+				} else {
+					args[spec.name] = this.__parseArg(command, spec, type, token);
+				}
+			}
+			
+			if (rest !== "") {
+				throw new EventError("InvalidInputError", command + " was given more than it takes: '" + rest + "'.");
+			}
+			return args;
+		};
+		
+		// Returns the symbol a line starts with, out of those the next arg could be, like setVar's '+='.
+		// Words are left to be read as tokens, so only names made of symbols are looked for.
+		EventReader.__symbolAt = function (text, names) {
+			let symbols = names.filter(function (name) { return /^[^\w\s]+$/.test(name) && text.startsWith(name); });
+			symbols.sort(function (a, b) { return b.length - a.length; });
+			return symbols.length > 0 ? symbols[0] : null;
+		};
+		
+		// Throws if setVar wasn't given as many values as its operator takes.
+		EventReader.__checkAssignment = function (args) {
+			if (args.value.length !== args.operator.values) {
+				throw new EventError("InvalidInputError", "setVar's " + args.operator.usage + ", but was given " + args.value.length + ".");
+			}
+		};
+		
+		// Parses a single arg by its type. Types throw what they expected, which is filled out into a full error here.
+		EventReader.__parseArg = function (command, spec, type, token) {
+			if (!type) { throw new EventError("InvalidInputError", command + "'s " + spec.name + " has an unknown type, '" + spec.type + "'."); }
+			try {
+				return type.parse(token, spec);
+			} catch (expected) {
+				
+				// Some types know better what went wrong, and throw a full error of their own.
+				if (typeof expected !== "string" || /^\w+:/.test(expected)) { throw EventError.from(expected); }
+				throw new EventError("InvalidInputError", command + "'s " + spec.name + " should be " + expected + ", but got '" + token + "'.");
+			}
+		};
+		
+		// Allows a command to prep a command to run in RMMV.
+		// The reader pauses after the command that pushed it, and resumes once RMMV has run it.
+		EventReader.__pushCommand = function (theCommand) {
+			this.__state.commands.push(theCommand);
+			this.__pushPause();
+		};
+		
+		// Pauses the reader after the current node, until RMMV has caught up with everything queued so far.
+		EventReader.__pushPause = function () {
+			this.__pause = true;
 		};
 		
 		// From Kino's tutorial. Reads a file and spits it out in utf8 format.
@@ -587,104 +1852,758 @@ list of commands that can be run within an event.
 		};
 		
 		
+//=============================================================================
+//  Event Reader RMMV Engine Modifications
+//=============================================================================
+		
+		// Modifies the RMMV wait check so an interpreter can wait on the reader.
+		// Once the event is over, it waits out any messages still showing like it normally would.
+		let RMMVRawUpdateWaitMode = Game_Interpreter.prototype.updateWaitMode;
+		Game_Interpreter.prototype.updateWaitMode = function() {
+			if (this._waitMode === "eventReader" && !EventReader.__update(this)) {
+				this._waitMode = "message";
+			}
+			return this._waitMode === "eventReader" || RMMVRawUpdateWaitMode.call(this);
+		};
+		
+		// Modifies the RMMV plugin commands so an event can hand raw RMMV commands straight to RMMV.
+		// The decompiler uses this for anything it can't translate, e.g. 'EventReaderCommand [{"code":355,...}]'.
+		let RMMVRawPluginCommand = Game_Interpreter.prototype.pluginCommand;
+		Game_Interpreter.prototype.pluginCommand = function(command, args) {
+			RMMVRawPluginCommand.call(this, command, args);
+			if (command === "EventReaderCommand") {
+				let commands = JSON.parse(args.join(" "));
+				this.setupChild(commands.concat([{ code: 0, indent: 0, parameters: [] }]), this._eventId);
+			}
+		};
+		
+		// Modifies the RMMV save contents to additionally save where the reader is in an event.
+		// The interpreter waiting on the reader is already saved along with the map.
+		let RMMVRawMakeSaveContents = DataManager.makeSaveContents;
+		DataManager.makeSaveContents = function() {
+			let contents = RMMVRawMakeSaveContents.call(this);
+			contents.eventReader = EventReader.__saveState();
+			return contents;
+		};
+		
+		// Modifies the RMMV load to additionally restore where the reader was in an event.
+		let RMMVRawExtractSaveContents = DataManager.extractSaveContents;
+		DataManager.extractSaveContents = function(contents) {
+			RMMVRawExtractSaveContents.call(this, contents);
+			EventReader.__loadState(contents.eventReader);
+		};
+		
+		// Clears out any event left over from before a new game.
+		let RMMVRawSetupNewGame = DataManager.setupNewGame;
+		DataManager.setupNewGame = function() {
+			RMMVRawSetupNewGame.call(this);
+			EventReader.__loadState(null);
+		};
+		
+		
+//=============================================================================
+//  Event Parser
+//=============================================================================
+		
+		// Design the event parser:
+		// A tool for turning the text of an event file into a syntax tree before it's run.
+		// Every token and node records the file and line it came from so errors can point back to it.
+
+		// Creating the wrapper object the user will interface with.
+		function EventParser() {}
+		
+		// The commands that open a block, paired with the commands that can split or close them.
+		// Choice blocks are split by their numbered options, e.g. '```0:'.
+		EventParser.blocks = {
+			stateIf: { type: "If", splits: ["elif"], end: "endIf" },
+			stateWhile: { type: "While", splits: [], end: "endWhile" },
+			stateChoice: { type: "Choice", splits: [], end: "endChoice" },
+			defineMacro: { type: "Macro", splits: [], end: "endMacro" }
+		};
+		
+		// Reads an event file into a syntax tree.
+		// Throws an error tagged with the file and line if the event isn't well formed.
+		EventParser.parse = function (text, file) {
+			
+			let tokens = this.tokenize(text, file);
+			let script = { type: "Script", file: file, tokens: tokens, body: [], blocks: {}, macros: {} };
+			
+			// Every block is also indexed by the line that opens it, so it can be found again from a saved position.
+			// The body of the script itself is block 0.
+			script.blocks[0] = { owner: null, body: script.body };
+			
+			// The blocks we're currently inside of, innermost last. The script itself is the outermost block.
+			let open = [{ node: script, opener: null, body: script.body }];
+			for (let token of tokens) {
+				
+				let top = open[open.length - 1];
+				if (token.type === "comment") {
+					
+					// Comments never make it into the tree.
+					continue;
+				} else if (token.type === "text") {
+					
+					// Text is only valid inside a choice once an option has been opened.
+					this.__checkOpenBody(top, token);
+					top.body.push({ type: "Text", text: token.text, file: token.file, line: token.line });
+				} else if (this.blocks[token.code]) {
+					
+					// Open a new block, then treat everything after as inside it until it closes.
+					this.__checkOpenBody(top, token);
+					let node = this.__makeBlock(token);
+					let body = this.__firstBody(node);
+					if (node.type === "Macro") { this.__defineMacro(script, top, node); }
+					top.body.push(node);
+					open.push({ node: node, opener: token.code, body: body });
+					if (body) { script.blocks[token.line] = { owner: node, body: body }; }
+				} else if (this.__isSplit(token)) {
+					
+					// Start the next branch or option of the innermost block.
+					top.body = this.__splitBlock(top, token);
+					script.blocks[token.line] = { owner: top.node, body: top.body };
+				} else if (this.__isEnd(token)) {
+					
+					// Close the innermost block, making sure it's the block this end belongs to.
+					if (!top.opener || this.blocks[top.opener].end !== token.code) {
+						throw new EventError("SyntaxError", token.code + " doesn't close any open block.", token);
+					}
+					open.pop();
+				} else if (!EventReader.commands.hasOwnProperty(token.code)) {
+					throw new EventError("SyntaxError", "'" + token.code + "' isn't a recognized command.", token);
+				} else {
+					this.__checkOpenBody(top, token);
+					this.__checkInLoop(open, token);
+					top.body.push({ type: "Command", code: token.code, args: token.args, file: token.file, line: token.line });
+				}
+			}
+			
+			// Anything still open at the end of the file was never closed.
+			if (open.length > 1) {
+				let unclosed = open[open.length - 1];
+				throw new EventError("SyntaxError", "this " + unclosed.opener + " is never closed with an " + 
+									 this.blocks[unclosed.opener].end + ".", unclosed.node);
+			}
+			
+			return script;
+		};
+		
+		// Splits an event file into tokens, one per line.
+		EventParser.tokenize = function (text, file) {
+			let lines = text.split(/\r?\n/);
+			let tokens = [];
+			for (let i = 0; i < lines.length; i++) {
+				tokens.push(this.__tokenizeLine(lines[i], file, i + 1));
+			}
+			return tokens;
+		};
+		
+		// Turns a single line into a token.
+		// Commands look like '```code: args'. Everything after the first colon is kept as the args.
+		EventParser.__tokenizeLine = function (text, file, line) {
+			let token = { type: "text", code: null, args: "", text: text, file: file, line: line };
+			
+			// A '\' in front of what would be a command, a comment or a blank line makes it text instead.
+			if (/^\\+(\/\/|```|\s*$)/.test(text)) {
+				token.text = text.substring(1);
+			} else if (text.startsWith("```")) {
+				let command = text.substring(3);
+				let colon = command.indexOf(':');
+				token.type = "command";
+				token.code = (colon === -1 ? command : command.substring(0, colon)).trim();
+				token.args = colon === -1 ? "" : command.substring(colon + 1).trim();
+			} else if (text.trim() === "" || text.startsWith("//")) {
+				token.type = "comment";
+			}
+			
+			return token;
+		};
+		
+		// Builds the node for a block-opening command.
+		EventParser.__makeBlock = function (token) {
+			let node = { type: this.blocks[token.code].type, file: token.file, line: token.line };
+			if (node.type === "If") {
+				node.branches = [{ condition: token.args, file: token.file, line: token.line, body: [] }];
+			} else if (node.type === "While") {
+				node.condition = token.args;
+				node.body = [];
+			} else if (node.type === "Macro") {
+				
+				// Macros are defined with their name, then the names of their parameters, e.g. '```defineMacro: greet name times'.
+				let words = token.args.split(/\s+/).filter(function (w) { return w !== ""; });
+				if (words.length === 0 || !words.every(function (w) { return /^\w+$/.test(w); })) {
+					throw new EventError("SyntaxError", "defineMacro expects a name followed by parameter names, e.g. 'greet name'.", token);
+				}
+				node.name = words[0];
+				node.params = words.slice(1);
+				node.body = [];
+			} else {
+				node.args = token.args;
+				node.options = [];
+			}
+			return node;
+		};
+		
+		// Returns the body that statements directly after the block opener belong to.
+		// Choices have none until their first option appears.
+		EventParser.__firstBody = function (node) {
+			if (node.type === "If") { return node.branches[0].body; }
+			if (node.type === "While" || node.type === "Macro") { return node.body; }
+			return null;
+		};
+		
+		// Adds a macro to the script's macros, so it can be called by name.
+		// Macros can only be defined at the top level of a file, and each name only once.
+		EventParser.__defineMacro = function (script, top, node) {
+			if (top.node !== script) {
+				throw new EventError("SyntaxError", "macros can't be defined inside another block.", node);
+			} else if (script.macros[node.name]) {
+				throw new EventError("SyntaxError", "the macro '" + node.name + "' is already defined on line " + 
+									 script.macros[node.name].line + ".", node);
+			}
+			script.macros[node.name] = node;
+		};
+		
+		// Adds a new branch or option to the innermost block, returning its body.
+		EventParser.__splitBlock = function (top, token) {
+			if (token.code === "elif" && top.opener === "stateIf") {
+				let branch = { condition: token.args, file: token.file, line: token.line, body: [] };
+				top.node.branches.push(branch);
+				return branch.body;
+			} else if (token.code !== "elif" && top.opener === "stateChoice") {
+				let option = { index: parseInt(token.code), file: token.file, line: token.line, body: [] };
+				top.node.options.push(option);
+				return option.body;
+			}
+			
+			throw new EventError("SyntaxError", token.code + " is outside of the block it belongs to.", token);
+		};
+		
+		// Makes sure a statement has somewhere to go. Only fails directly inside a choice before its first option.
+		EventParser.__checkOpenBody = function (top, token) {
+			if (!top.body) {
+				throw new EventError("SyntaxError", "expected a choice option like '```0:' before this line.", token);
+			}
+		};
+		
+		// The commands that only make sense inside a loop.
+		EventParser.loopCommands = ["break", "continue"];
+		
+		EventParser.__checkInLoop = function (open, token) {
+			if (this.loopCommands.includes(token.code) && !open.some(function (o) { return o.opener === "stateWhile"; })) {
+				throw new EventError("SyntaxError", token.code + " can only be used inside a stateWhile.", token);
+			}
+		};
+		
+		EventParser.__isSplit = function (token) {
+			return token.code === "elif" || /^\d+$/.test(token.code);
+		};
+		
+		EventParser.__isEnd = function (token) {
+			return Object.keys(this.blocks).some(function (b) { return this.blocks[b].end === token.code; }.bind(this));
+		};
+		
+		
 //=============================================================================
 //  Logic Evaluator
 //=============================================================================
 		
 		// Design the logic evaluator:  
 		// A tool for reading boolean logic for if statements and loops from RMMV templates.
+		// Statements are parsed into a tree once, then compiled and cached, so a loop's condition isn't re-read every pass.
+		// Names like 'v_day' are looked up as the statement runs rather than pasted into its text.
 
 		// Creating the wrapper object the user will interface with.
 		function LogicEvaluator() {}
-		LogicEvaluator.math = require("mathjs");
+		
+		// The statements compiled most recently, keyed by their text, oldest used first.
+		// Text built on the fly could otherwise grow this forever, so past maxCompiled the oldest is dropped.
+		LogicEvaluator.__compiled = new Map();
+		LogicEvaluator.maxCompiled = 1000;
+		
+		// Prep the functions wrapper. Statements can call these by name, e.g. item('Potion') >= 2.
+		// Quoted text given to them is passed as text, unless it's named like a variable or switch.
+		// That way they work in EventSelector's double-quoted prereqs too.
+		LogicEvaluator.functions = {};
+		
+		// Adds a function statements can call, or replaces one that's already there.
+		LogicEvaluator.registerFunction = function (name, theFunction) {
+			this.functions[name] = theFunction;
+		};
+		
+		// The math statements can do. Anything quoted given to these is always a variable or switch name.
+		LogicEvaluator.mathFunctions = {
+			abs: Math.abs,
+			ceil: Math.ceil,
+			floor: Math.floor,
+			round: Math.round,
+			sqrt: Math.sqrt,
+			min: Math.min,
+			max: Math.max,
+			clamp: function (value, min, max) { return Math.min(Math.max(value, min), max); }
+		};
+		
+		// Words that stand for values, rather than names.
+		LogicEvaluator.constants = { true: true, false: false, pi: Math.PI, e: Math.E };
+		
+		// How many of an item, weapon or armor the party has, by name. Equipped weapons and armor aren't counted.
+		LogicEvaluator.registerFunction("item", function (name) {
+			let found = EventReader.__findItem(name);
+			return $gameParty.numItems(window[found.table][found.id]);
+		});
+		
+		LogicEvaluator.registerFunction("gold", function () {
+			return $gameParty.gold();
+		});
+		
+		// Whether an actor's in the party, by name.
+		LogicEvaluator.registerFunction("inParty", function (name) {
+			let actorId = EventReader.__findData("$dataActors", name, "actor");
+			return $gameParty.members().some(function (actor) { return actor.actorId() === actorId; });
+		});
+		
+		// An actor's level, by name. Actors who've never joined the party are still at their starting level.
+		LogicEvaluator.registerFunction("level", function (name) {
+			return $gameActors.actor(EventReader.__findData("$dataActors", name, "actor")).level;
+		});
+		
+		// One of the self switches, A to D, of the event being run.
+		LogicEvaluator.registerFunction("selfSwitch", function (letter) {
+			let eventId = $gameMap._interpreter.eventId();
+			if (!eventId) { throw new EventError("ScopeError", "selfSwitch can only be checked while an event is running."); }
+			if (!/^[ABCD]$/.test(letter)) { throw new EventError("InvalidInputError", "self switches are A, B, C or D, not '" + letter + "'."); }
+			return $gameSelfSwitches.value([$gameMap.mapId(), eventId, letter]);
+		});
+		
+		// A whole number from min to max, including both.
+		LogicEvaluator.registerFunction("randInt", function (min, max) {
+			if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+				throw new EventError("InvalidInputError", "randInt needs two whole numbers, the smaller first, but got " + min + " and " + max + ".");
+			}
+			return min + Math.floor(LogicEvaluator.__random() * (max - min + 1));
+		});
+		
+		// True as often as the odds given, e.g. chance(0.25) is true a quarter of the time.
+		LogicEvaluator.registerFunction("chance", function (odds) {
+			if (typeof odds !== "number" || odds < 0 || odds > 1) {
+				throw new EventError("InvalidInputError", "chance's odds should be from 0 to 1, but got " + odds + ".");
+			}
+			return LogicEvaluator.__random() < odds;
+		});
+		
+		// One of the values given, picked at random.
+		LogicEvaluator.registerFunction("pick", function () {
+			if (arguments.length === 0) { throw new EventError("InvalidInputError", "pick needs at least one value to pick from."); }
+			return arguments[Math.floor(LogicEvaluator.__random() * arguments.length)];
+		});
+		
+		// Starts the random functions over from a seed. The same seed gives the same results, in the same order.
+		LogicEvaluator.seed = function (seed) {
+			this.__seed = seed >>> 0;
+		};
+		
+		// The next number from the random functions' generator, from 0 up to 1. It's mulberry32, which is small and plenty for events.
+		LogicEvaluator.__random = function () {
+			this.__seed = (this.__seed + 0x6D2B79F5) >>> 0;
+			let t = this.__seed;
+			t = Math.imul(t ^ (t >>> 15), t | 1);
+			t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+		
+		// Takes the first seed from the game's RNG.
+		LogicEvaluator.seed(Math.floor(Math.random() * 4294967296));
 		
 		// The interface function through which the event reader will evaulate 
 		// logic that involves RMMV booleans.
 		LogicEvaluator.__evaluateLogic = function(statement) {
-			
-			// If this statement has variables or switches, suss them out and replace with concrete values.
-			let names = this.__nameSnip(statement);
-			let values = [];
-			for (let n of names) { values.push(this.__rmmvNameQuery(n)); }
-			let logic = this.__nameStitch(statement, values);
-			
-			return this.math.evaluate(logic);
+			return this.__compile(statement).run();
+		};
+
+		// Checks a statement without running it, returning the variable and switch names it uses.
+		// Throws if a name is malformed or the statement can't be read.
+		LogicEvaluator.__validate = function(statement) {
+			return this.__compile(statement).names;
+		};
+
+		// Returns the quoted text given to our functions, along with the function's name, e.g. { name: "item", arg: "Potion" }.
+		LogicEvaluator.__functionArgs = function(statement) {
+			return this.__compile(statement).args;
 		};
 
-		// A helper function which pulls out a variable or switch name for use.
-		// Returns an array of all variable and switch names it finds.
-		LogicEvaluator.__nameSnip = function(toSnip) {
+		// Returns where each 'not' is that's put before a comparison without brackets, like not 'v_a' > 3.
+		// mathjs read those as (not 'v_a') > 3, so the linter points them out.
+		LogicEvaluator.__bareNots = function(statement) {
+			return this.__compile(statement).nots;
+		};
+		
+		// Parses and compiles a statement, or returns it from the cache if it's been compiled before.
+		// The compiled statement has the function that runs it, the names it uses, and the text given to our functions.
+		LogicEvaluator.__compile = function(statement) {
+			if (this.__compiled.has(statement)) {
+				// Move it to the back, as the most recently used.
+				let cached = this.__compiled.get(statement);
+				this.__compiled.delete(statement);
+				this.__compiled.set(statement, cached);
+				return cached;
+			}
 			
-			// Split on " ' " then evaluate every other element for whether it's a valid RMMV name.
-			let diced = this.__splitLogic(toSnip);
-			let names = [];
-			for (let name = 1; name < diced.length - 1; name += 2) {
-				if (!this.__isRMMVVar(diced[name]) && !this.__isRMMVSwitch(diced[name])) { 
-					throw "TypeError:  This name doesn't follow proper var or switch naming conventions.";
-				} else {
-					names.push(diced[name]);
-				}
+			let parser = { statement: statement, tokens: this.__tokenize(statement), index: 0, names: [], args: [], nots: [] };
+			let tree = this.__parseTernary(parser);
+			if (this.__peek(parser).type !== "end") {
+				throw this.__error(parser, this.__peek(parser), "expected the statement to end, but got '" + this.__peek(parser).value + "'");
 			}
 			
-			return names;
+			let compiled = { run: this.__build(tree), names: parser.names, args: parser.args, nots: parser.nots };
+			this.__compiled.set(statement, compiled);
+			if (this.__compiled.size > this.maxCompiled) {
+				this.__compiled.delete(this.__compiled.keys().next().value);
+			}
+			return compiled;
 		};
 
 		// A helper function which queries RMMV for the var or switch information.
+		// Local variables are looked up in the reader instead.
 		LogicEvaluator.__rmmvNameQuery = function(varName) {
 			
+			if (this.__isLocalVar(varName)) {
+				return EventReader.__getLocal(varName);
+			}
+			
 			// Query RMMV to find the relevant value.
 			let result = null;
 			let rmmvIndex = null;
 			if (this.__isRMMVSwitch(varName)) {
 				rmmvIndex = $dataSystem.switches.indexOf(varName);
-				result = $gameSwitches.value($dataSystem.switches.indexOf(varName));
+				result = $gameSwitches.value(rmmvIndex);
 			} else if (this.__isRMMVVar(varName)) {
 				rmmvIndex = $dataSystem.variables.indexOf(varName);
-				result = $gameVariables.value($dataSystem.variables.indexOf(varName));
+				result = $gameVariables.value(rmmvIndex);
 			} else {
-				throw "DataNotFound:  the queried variable or switch wasn't found in RMMV.";
+				throw new EventError("TypeError", "'" + varName + "' doesn't follow var or switch naming conventions.");
 			}
 			
 			// If RMMV didn't find a valid entry...
 			if (rmmvIndex === -1) {
-				throw "TypeError:  input is not formatted as a variable or switch string!";
+				throw new EventError("DataNotFound", "there's no variable or switch named '" + varName + "'.");
 			} 
 			
 			return result;
 		};
 
-		// A helper function which stitches the queried var or switch values back into its string.
-		// Expects the values to be in left to right order.
-		LogicEvaluator.__nameStitch = function(toStitch, values) {
+
+//=============================================================================
+//  Logic Evaluator Parser
+//=============================================================================
+		
+		// Splits a statement into tokens, each keeping the character it started at for errors.
+		// 'Quoted' text is a name and "double-quoted" text is a string. Either can hold its own quote after a '\'.
+		LogicEvaluator.__tokenize = function(statement) {
+			let tokens = [];
+			let pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|'((?:\\.|[^'\\])*)'|"((?:\\.|[^"\\])*)"|([A-Za-z_]\w*)|(==|!=|<=|>=|&&|\|\||[-+*\/%^<>!(),?:]))/y;
+			let at = 0;
+			while (statement.substring(at).trim() !== "") {
+				pattern.lastIndex = at;
+				let match = pattern.exec(statement);
+				let start = match ? at + match[0].length - match[0].trimStart().length : at + statement.substring(at).search(/\S/);
+				if (!match) {
+					throw this.__error({ statement: statement }, { at: start }, "didn't expect '" + statement.charAt(start) + "'");
+				}
+				
+				if (match[1] !== undefined) { tokens.push({ type: "number", value: Number(match[1]), at: start }); }
+				else if (match[2] !== undefined) { tokens.push({ type: "name", value: match[2].replace(/\\(.)/g, "$1"), at: start }); }
+				else if (match[3] !== undefined) { tokens.push({ type: "string", value: match[3].replace(/\\(.)/g, "$1"), at: start }); }
+				else if (match[4] !== undefined) { tokens.push({ type: "word", value: match[4], at: start }); }
+				else { tokens.push({ type: "op", value: match[5], at: start }); }
+				at = pattern.lastIndex;
+			}
 			
-			// Split on " ' " then evaluate every other element for whether it's a valid RMMV name.
-			let diced = this.__splitLogic(toStitch);
+			tokens.push({ type: "end", value: "", at: statement.length });
+			return tokens;
+		};
+		
+		// Splits a list of statements on the commas between them, leaving those in a function's parentheses alone.
+		LogicEvaluator.__splitStatements = function(text) {
+			let split = [];
+			let depth = 0;
+			let start = 0;
+			this.__tokenize(text).forEach(function (token) {
+				if (token.type === "op" && token.value === "(") { depth++; }
+				else if (token.type === "op" && token.value === ")") { depth--; }
+				else if ((token.type === "op" && token.value === "," && depth === 0) || token.type === "end") {
+					split.push(text.substring(start, token.at).trim());
+					start = token.at + 1;
+				}
+			});
+			return split;
+		};
+		
+		// Conditional values: 'v_day' > 3 ? "late" : "early".
+		LogicEvaluator.__parseTernary = function(parser) {
+			let condition = this.__parseBinary(parser, 0);
+			if (!this.__accept(parser, "?")) { return condition; }
 			
-			// But before that, check to make sure that the lengths of the paired arrays make sense.
-			if ((diced.length - 1) / 2 < values.length) {
-				throw "ValueMismatchError:  there are too many values to stitch this string!";
-			} else if ((diced.length - 1) / 2 > values.length) {
-				throw "ValueMismatchError:  there aren't enough values to stitch this string!";
+			let whenTrue = this.__parseTernary(parser);
+			this.__expect(parser, ":");
+			let whenFalse = this.__parseTernary(parser);
+			return { type: "ternary", condition: condition, whenTrue: whenTrue, whenFalse: whenFalse };
+		};
+		
+		// The binary operators, loosest first. Each level is made of the ones after it.
+		// 'not' sits between 'and' and the comparisons, so 'not 'v_day' > 3' reads as 'not ('v_day' > 3)'.
+		LogicEvaluator.precedence = [
+			["or", "||"],
+			["xor"],
+			["and", "&&"],
+			"not",
+			"comparison",
+			["+", "-"],
+			["*", "/", "%", "mod"]
+		];
+		
+		LogicEvaluator.comparisons = ["==", "!=", "<", ">", "<=", ">="];
+		
+		// Reads one level of binary operators, left to right.
+		LogicEvaluator.__parseBinary = function(parser, level) {
+			if (level === this.precedence.length) { return this.__parseUnary(parser); }
+			if (this.precedence[level] === "comparison") { return this.__parseComparison(parser, level); }
+			if (this.precedence[level] === "not") {
+				let token = this.__peek(parser);
+				if (this.__accept(parser, "not") || this.__accept(parser, "!")) {
+					let arg = this.__parseBinary(parser, level);
+					if (arg.type === "comparison" && !arg.bracketed) { parser.nots.push(token.at); }
+					return { type: "unary", op: "not", arg: arg };
+				}
+				return this.__parseBinary(parser, level + 1);
+			}
+			
+			let left = this.__parseBinary(parser, level + 1);
+			let token = this.__peek(parser);
+			while ((token.type === "op" || token.type === "word") && this.precedence[level].includes(token.value)) {
+				parser.index++;
+				left = { type: "binary", op: token.value, left: left, right: this.__parseBinary(parser, level + 1) };
+				token = this.__peek(parser);
+			}
+			return left;
+		};
+		
+		// Comparisons chain the way mathjs chained them, so 1 < 'v_a' < 5 is 1 < 'v_a' and 'v_a' < 5.
+		LogicEvaluator.__parseComparison = function(parser, level) {
+			let args = [this.__parseBinary(parser, level + 1)];
+			let ops = [];
+			let token = this.__peek(parser);
+			while (token.type === "op" && this.comparisons.includes(token.value)) {
+				parser.index++;
+				ops.push(token.value);
+				args.push(this.__parseBinary(parser, level + 1));
+				token = this.__peek(parser);
+			}
+			return ops.length === 0 ? args[0] : { type: "comparison", ops: ops, args: args };
+		};
+		
+		// Negatives and powers. Powers bind tighter, so -2^2 is -4.
+		LogicEvaluator.__parseUnary = function(parser) {
+			if (this.__accept(parser, "-")) { return { type: "unary", op: "-", arg: this.__parseUnary(parser) }; }
+			if (this.__accept(parser, "+")) { return { type: "unary", op: "+", arg: this.__parseUnary(parser) }; }
+			
+			let base = this.__parsePrimary(parser);
+			if (this.__accept(parser, "^")) { return { type: "binary", op: "^", left: base, right: this.__parseUnary(parser) }; }
+			return base;
+		};
+		
+		// Values, names, function calls and brackets.
+		LogicEvaluator.__parsePrimary = function(parser) {
+			let token = parser.tokens[parser.index++];
+			if (token.type === "number" || token.type === "string") {
+				return { type: "value", value: token.value };
+			} else if (token.type === "name") {
+				return this.__parseName(parser, token);
+			} else if (token.type === "op" && token.value === "(") {
+				let inside = this.__parseTernary(parser);
+				this.__expect(parser, ")");
+				inside.bracketed = true;
+				return inside;
+			} else if (token.type === "word" && this.__peek(parser).value === "(") {
+				return this.__parseCall(parser, token);
+			} else if (token.type === "word" && this.constants.hasOwnProperty(token.value)) {
+				return { type: "value", value: this.constants[token.value] };
+			} else if (token.type === "word" && this.__isName(token.value)) {
+				return this.__parseName(parser, token);
+			} else if (token.type === "end") {
+				throw this.__error(parser, token, "expected a value, but the statement ended");
+			}
+			throw this.__error(parser, token, "expected a value, but got '" + token.value + "'");
+		};
+		
+		// A variable or switch, like 'v_day', which is looked up each time the statement runs.
+		LogicEvaluator.__parseName = function(parser, token) {
+			if (!this.__isName(token.value)) {
+				throw this.__error(parser, token, "'" + token.value + "' doesn't follow var or switch naming conventions");
+			}
+			if (!parser.names.includes(token.value)) { parser.names.push(token.value); }
+			return { type: "name", name: token.value };
+		};
+		
+		// A call to one of the math functions or one of our functions, e.g. max('v_day', 3) or seen('Beach.txt').
+		LogicEvaluator.__parseCall = function(parser, token) {
+			let ours = this.functions.hasOwnProperty(token.value);
+			if (!ours && !this.mathFunctions.hasOwnProperty(token.value)) {
+				throw this.__error(parser, token, "there's no function named '" + token.value + "'");
 			}
 			
-			let stitched = "";
-			for (let name = 0; name < diced.length; name++) {
-				if (name % 2 === 0) {
-					stitched += diced[name];
+			let args = [];
+			this.__expect(parser, "(");
+			while (!this.__accept(parser, ")")) {
+				if (args.length > 0) { this.__expect(parser, ","); }
+				
+				// Our functions take quoted text as is, unless it's named like a variable or switch.
+				let next = this.__peek(parser);
+				let after = parser.tokens[parser.index + 1];
+				if (ours && next.type === "name" && !this.__isName(next.value) && (after.value === "," || after.value === ")")) {
+					parser.index++;
+					parser.args.push({ name: token.value, arg: next.value });
+					args.push({ type: "value", value: next.value });
 				} else {
-					stitched += String(values[(name - 1) / 2]);
+					args.push(this.__parseTernary(parser));
 				}
 			}
+			return { type: "call", name: token.value, ours: ours, args: args };
+		};
+		
+		// Returns the next token without moving past it.
+		LogicEvaluator.__peek = function(parser) {
+			return parser.tokens[parser.index];
+		};
+		
+		// Moves past the next token if it's the operator or word given, returning whether it was.
+		LogicEvaluator.__accept = function(parser, value) {
+			let token = this.__peek(parser);
+			if ((token.type === "op" || token.type === "word") && token.value === value) {
+				parser.index++;
+				return true;
+			}
+			return false;
+		};
+		
+		LogicEvaluator.__expect = function(parser, value) {
+			if (!this.__accept(parser, value)) {
+				let token = this.__peek(parser);
+				throw this.__error(parser, token, "expected '" + value + "', but " + (token.type === "end" ? "the statement ended" : "got '" + token.value + "'"));
+			}
+		};
+		
+		// Formats an error so it points at the character it happened at, counting from 1.
+		LogicEvaluator.__error = function(parser, token, message) {
+			return new EventError("ExpressionError", "at character " + (token.at + 1) + " of \"" + parser.statement + "\", " + message + ".");
+		};
+
+
+//=============================================================================
+//  Logic Evaluator Compiler
+//=============================================================================
+		
+		// Turns a parsed statement into a function that runs it.
+		LogicEvaluator.__build = function(node) {
+			return this.builders[node.type].call(this, node);
+		};
+		
+		// Prep the builders wrapper. Each is keyed by the type of node it builds.
+		LogicEvaluator.builders = {};
+		
+		LogicEvaluator.builders.value = function(node) {
+			let value = node.value;
+			return function () { return value; };
+		};
+		
+		LogicEvaluator.builders.name = function(node) {
+			let name = node.name;
+			return function () { return LogicEvaluator.__rmmvNameQuery(name); };
+		};
+		
+		LogicEvaluator.builders.unary = function(node) {
+			let arg = this.__build(node.arg);
+			let operator = this.unaryOperators[node.op];
+			return function () { return operator(arg()); };
+		};
+		
+		// 'and' and 'or' only check their right side if they need to, e.g. 'inParty('Harold') and level('Harold') > 3'.
+		LogicEvaluator.builders.binary = function(node) {
+			let left = this.__build(node.left);
+			let right = this.__build(node.right);
+			if (node.op === "and" || node.op === "&&") { return function () { return !!left() && !!right(); }; }
+			if (node.op === "or" || node.op === "||") { return function () { return !!left() || !!right(); }; }
 			
-			return stitched;
+			let operator = this.binaryOperators[node.op];
+			return function () { return operator(left(), right()); };
+		};
+		
+		// Each value in a chain is looked up once, and the chain stops at the first comparison that's false.
+		LogicEvaluator.builders.comparison = function(node) {
+			let args = node.args.map(function (arg) { return this.__build(arg); }.bind(this));
+			let operators = node.ops.map(function (op) { return this.binaryOperators[op]; }.bind(this));
+			return function () {
+				let left = args[0]();
+				for (let i = 0; i < operators.length; i++) {
+					let right = args[i + 1]();
+					if (!operators[i](left, right)) { return false; }
+					left = right;
+				}
+				return true;
+			};
+		};
+		
+		LogicEvaluator.builders.ternary = function(node) {
+			let condition = this.__build(node.condition);
+			let whenTrue = this.__build(node.whenTrue);
+			let whenFalse = this.__build(node.whenFalse);
+			return function () { return condition() ? whenTrue() : whenFalse(); };
+		};
+		
+		// Our functions are looked up when they're called, so registering one again replaces it everywhere.
+		LogicEvaluator.builders.call = function(node) {
+			let args = node.args.map(function (arg) { return this.__build(arg); }.bind(this));
+			let table = node.ours ? this.functions : this.mathFunctions;
+			let name = node.name;
+			return function () {
+				return table[name].apply(null, args.map(function (arg) { return arg(); }));
+			};
+		};
+		
+		LogicEvaluator.unaryOperators = {
+			"-": function (a) { return -a; },
+			"+": function (a) { return +a; },
+			"not": function (a) { return !a; }
+		};
+		
+		// Remainders are always the sign of the divisor, so 'v_step' mod 4 never goes negative.
+		LogicEvaluator.binaryOperators = {
+			"+": function (a, b) { return a + b; },
+			"-": function (a, b) { return a - b; },
+			"*": function (a, b) { return a * b; },
+			"/": function (a, b) { return a / b; },
+			"%": function (a, b) { return ((a % b) + b) % b; },
+			"mod": function (a, b) { return ((a % b) + b) % b; },
+			"^": function (a, b) { return Math.pow(a, b); },
+			"==": function (a, b) { return LogicEvaluator.__equals(a, b); },
+			"!=": function (a, b) { return !LogicEvaluator.__equals(a, b); },
+			"<": function (a, b) { return a < b; },
+			">": function (a, b) { return a > b; },
+			"<=": function (a, b) { return a <= b; },
+			">=": function (a, b) { return a >= b; },
+			"xor": function (a, b) { return !!a !== !!b; }
 		};
 
 
 		// Helpers Functions:
 
-		// A helper function which splits away RMMV names from logic strings.
-		// As RMMV names are between " ' "s, on a split, they'll always be odd numbered values.
-		LogicEvaluator.__splitLogic = function(statement) { return statement.split("'"); };
+		// A helper function which compares two values. Values of different types are compared as numbers, so a switch equals 1 when it's on.
+		LogicEvaluator.__equals = function(a, b) {
+			return typeof a === typeof b ? a === b : Number(a) === Number(b);
+		};
+
+		// A helper function which determines if a name belongs to a var, switch or local variable.
+		LogicEvaluator.__isName = function(name) {
+			return this.__isRMMVVar(name) || this.__isRMMVSwitch(name) || this.__isLocalVar(name);
+		};
 
 		// A helper function which determines if a name belongs to a var.
 		LogicEvaluator.__isRMMVVar = function(name) { 
@@ -696,7 +2615,239 @@ list of commands that can be run within an event.
 			return name.charAt(0) === 's' && name.charAt(1) === '_';
 		};
 		
+		// A helper function which determines if a name belongs to a local variable of the event being read.
+		LogicEvaluator.__isLocalVar = function(name) {
+			return name.charAt(0) === 'l' && name.charAt(1) === '_';
+		};
+		
+		
+//=============================================================================
+//  Event Error
+//=============================================================================
+		
+		// An error raised by an event, a statement or the metadata of an event or epiphany.
+		// The type names the kind of mistake, e.g. "DataNotFound", and the detail says what went wrong.
+		// Once it's known where it happened, it's tagged with the file and line, given as anything with a file and line.
+		function EventError(type, detail, where) {
+			this.type = type;
+			this.detail = detail;
+			this.file = null;
+			this.line = null;
+			this.message = type + ":  " + detail;
+			this.stack = new Error(this.message).stack;
+			if (where) { this.locate(where); }
+		}
+		EventError.prototype = Object.create(Error.prototype);
+		EventError.prototype.constructor = EventError;
+		EventError.prototype.name = "EventError";
+		
+		// Tags the error with the file and line of a node or token, so it reads like 'Beach.txt:42: ...'. Returns the error.
+		// An error that already knows where it happened keeps it, so one from an elif's condition points at the elif,
+		// not the stateIf it belongs to, and one from a file that's opened points into that file.
+		EventError.prototype.locate = function (where) {
+			if (this.file === null) {
+				this.file = where.file;
+				this.line = where.line;
+				this.message = this.file + ":" + this.line + ": " + this.type + ":  " + this.detail;
+			}
+			return this;
+		};
+		
+		// Reads like the messages errors were always reported with, e.g. 'Beach.txt:42: DataNotFound:  ...'.
+		EventError.prototype.toString = function () {
+			return this.message;
+		};
+		
+		// Makes anything that was thrown into an EventError.
+		// Strings written like 'Type:  detail', with or without a 'file:line: ' in front, keep their type and place.
+		// Other errors, like a TypeError from a bug in a plugin, keep their name and stack. Those from another realm,
+		// like Node's in the tools, aren't instances of this one's Error, so anything with a message counts.
+		EventError.from = function (e) {
+			if (e instanceof EventError) { return e; }
+			if (e instanceof Error || (e && typeof e.message === "string")) {
+				let error = new EventError(e.name || "Error", e.message);
+				error.stack = e.stack;
+				error.native = true;
+				return error;
+			}
+			
+			let match = /^(?:(.+?):(\d+): )?(\w+):\s+([\s\S]*)$/.exec(String(e));
+			if (!match) { return new EventError("Error", String(e)); }
+			return new EventError(match[3], match[4], match[1] ? { file: match[1], line: Number(match[2]) } : null);
+		};
+		
+		
+//=============================================================================
+//  Event Error Reporter
+//=============================================================================
+		
+		// Design the error reporter:  
+		// Where the EventReader, LogicEvaluator, EventSelector and EpiphanyManager send whatever goes wrong.
+		// What's done with an error depends on the build the game's running as, so a playtest stops on it 
+		// while a player's game notes it down and carries on.
+
+		// Creating the wrapper object the user will interface with.
+		function EventErrorReporter() {}
+		
+		// What's done with an error in each build, in order. Each is one of EventErrorReporter.actions.
+		// Outside the game, like in the test harness and the other tools, errors are always thrown back.
+		EventErrorReporter.policies = {
+			playtest: ["log", "throw"],
+			release: ["log", "show"],
+			tools: ["throw"]
+		};
+		
+		// Where errors are logged. Once the log would grow past maxLogSize bytes, it's moved to 'eventErrors.log.1',
+		// that one to '.2', and so on, keeping up to maxLogFiles old logs.
+		EventErrorReporter.logFile = EventReader.path.join("logs", "eventErrors.log");
+		EventErrorReporter.maxLogSize = 100000;
+		EventErrorReporter.maxLogFiles = 3;
+		
+		// How many of the lines run last are kept, to be logged along with an error.
+		EventErrorReporter.recentLength = 20;
+		
+		// What the player's told when an event is skipped. '%1' is replaced with the log file.
+		// If the log couldn't be written, they're told the shorter unloggedNotice instead.
+		EventErrorReporter.notice = "Something went wrong in this event, so it was skipped.\nThe details were saved to %1.";
+		EventErrorReporter.unloggedNotice = "Something went wrong in this event, so it was skipped.";
+		
+		// The lines run last, oldest first, as the nodes that ran them.
+		EventErrorReporter.__recent = [];
+		
+		// Hands an error to each action in the policy for the build being run. 
+		// The source is the object it came from, e.g. "EventSelector". Returns the error, made into an EventError.
+		// Errors are only reported once, so one thrown back up through another guarded call isn't logged again.
+		EventErrorReporter.report = function (e, source) {
+			let error = EventError.from(e);
+			if (error.reported) { throw error; }
+			error.reported = true;
+			error.source = source;
+			
+			this.policies[this.__build()].forEach(function (action) {
+				this.actions[action].call(this, error);
+			}, this);
+			return error;
+		};
+		
+		// Wraps the functions of an object named, so anything they throw is reported.
+		// A call that throws returns the fallback given, or undefined without one, unless the policy throws it back.
+		EventErrorReporter.guard = function (owner, names, source, fallback) {
+			names.forEach(function (name) {
+				let theFunction = owner[name];
+				owner[name] = function () {
+					try {
+						return theFunction.apply(this, arguments);
+					} catch (e) {
+						EventErrorReporter.report(e, source);
+						return fallback;
+					}
+				};
+			});
+		};
+		
+		// Prep the actions wrapper. Each is keyed by the name policies use for it, and is given the error.
+		EventErrorReporter.actions = {};
+		
+		// Writes the error to the log, along with where the reader was, the lines it ran last and the values they use.
+		// A log that can't be written, like on a read-only install, mustn't stop the rest of the policy from running.
+		EventErrorReporter.actions.log = function (error) {
+			error.logged = this.__attempt(function () {
+				this.__writeLog(this.__describe(error));
+				return true;
+			}.bind(this)) === true;
+		};
+		
+		// Tells the player something went wrong, on a page of its own after anything the event already had to say.
+		EventErrorReporter.actions.show = function (error) {
+			$gameMessage.newPage();
+			$gameMessage.add(error.logged === false ? this.unloggedNotice : this.notice.replace("%1", this.logFile));
+		};
+		
+		EventErrorReporter.actions.throw = function (error) {
+			throw error;
+		};
+		
+		// Notes a line the reader's about to run.
+		EventErrorReporter.__remember = function (node) {
+			this.__recent.push(node);
+			if (this.__recent.length > this.recentLength) { this.__recent.shift(); }
+		};
+		
+		// The build being run. The game's playtests are started with the 'test' option.
+		EventErrorReporter.__build = function () {
+			if (typeof Utils === "undefined") { return "tools"; }
+			return Utils.isOptionValid("test") ? "playtest" : "release";
+		};
+		
+		// Writes out everything known about an error for the log.
+		// Anything that can't be looked up is left out rather than getting in the way of the report.
+		EventErrorReporter.__describe = function (error) {
+			let recent = this.__recent.map(function (node) { return node.file + ":" + node.line + ": " + this.__lineText(node); }, this);
+			let values = this.__values([error.detail].concat(recent));
+			let lines = [
+				"[" + new Date().toISOString() + "] " + error.message,
+				"  From:    " + error.source,
+				"  Stack:   " + (this.__attempt(function () { return EventReader.__trace().join(" > "); }) || "none"),
+				"  Recent:  " + (recent.length > 0 ? recent.join("\n           ") : "none"),
+				"  Values:  " + (values.length > 0 ? values.join(", ") : "none")
+			];
+			
+			// Errors that didn't come from us are more likely bugs, so the JavaScript stack is worth having too.
+			if (error.native) { lines.push("  JS:      " + error.stack); }
+			return lines.join("\n") + "\n\n";
+		};
+		
+		// Returns the text of the line a node was read from.
+		EventErrorReporter.__lineText = function (node) {
+			let script = EventReader.__scripts[node.file];
+			return script ? script.tokens[node.line - 1].text : "";
+		};
+		
+		// Returns the value of every variable and switch named in some text, like 'v_day = 3'.
+		EventErrorReporter.__values = function (texts) {
+			let names = [];
+			texts.forEach(function (text) {
+				(text.match(/'[vsl]_(?:\\.|[^'\\])*'|\b[vsl]_\w+/g) || []).forEach(function (name) {
+					name = name.replace(/^'|'$/g, "").replace(/\\(.)/g, "$1");
+					if (!names.includes(name)) { names.push(name); }
+				});
+			});
+			
+			let values = [];
+			names.forEach(function (name) {
+				this.__attempt(function () { values.push(name + " = " + JSON.stringify(LogicEvaluator.__rmmvNameQuery(name))); });
+			}, this);
+			return values;
+		};
+		
+		// Adds an entry to the log, moving the log along first if it's grown too big.
+		EventErrorReporter.__writeLog = function (entry) {
+			let fs = EventReader.fs;
+			let folder = EventReader.path.dirname(this.logFile);
+			if (!fs.existsSync(folder)) { fs.mkdirSync(folder); }
+			
+			if (fs.existsSync(this.logFile) && fs.statSync(this.logFile).size + entry.length > this.maxLogSize) {
+				for (let i = this.maxLogFiles - 1; i >= 1; i--) {
+					if (fs.existsSync(this.logFile + "." + i)) { fs.renameSync(this.logFile + "." + i, this.logFile + "." + (i + 1)); }
+				}
+				fs.renameSync(this.logFile, this.logFile + ".1");
+			}
+			fs.appendFileSync(this.logFile, entry);
+		};
+		
+		// Runs a function, returning what it returns, or null if it throws.
+		EventErrorReporter.__attempt = function (theFunction) {
+			try {
+				return theFunction();
+			} catch (e) {
+				return null;
+			}
+		};
+		
 		// Add to RMMV.
+		window.EventError = EventError;
+		window.EventErrorReporter = EventErrorReporter;
+		window.EventParser = EventParser;
 		window.LogicEvaluator = LogicEvaluator;
 		window.EventReader = EventReader;
 	}
@@ -18,6 +18,10 @@
 Designed to work in tandem with the EventReader. 
 MUST be placed BELOW it to use the LogicEvaluator.
 
+Anything that goes wrong in the interface below is handed to the
+EventReader's EventErrorReporter, so it's handled the same way
+an error in an event is. See the EventReader's help.
+
 
   ** Overview *
 
@@ -47,11 +51,15 @@ within v_eventTemp--currently set as variable 1 in RMMV. Though...
 if we're smart, we'll setup everything to work based off the name
 and get rid of those floating magic numbers. :P
 
+If choosing fails, the error is reported and EventReader.noEvent is
+returned instead, which readEvent skips.
+
 
 EventSelector.isEventSeen(eventName, rmmmvVar)
 
 After the call, whether the given event has been seen by the player 
 will be stored as a boolean in the selected RMMVVar's location.
+It counts events the same way seen() does.
 I expect to call this from within in events quite a bit.
 
 
@@ -104,6 +112,34 @@ Officially sets the switch that indicates that the benefit(s) of a
 given epiphany have been unlocked by a player. This allows us to, in
 many cases, separate unlocking the dream from the benefit. As this
 is a setter, we can either turn on or off a benefit.
+
+
+  ** Logic Functions *
+
+
+Any LogicEvaluator statement--conditions, setVar values, text in
+braces and prereqs alike--can ask about the story so far:
+
+seen('Beach.txt')         Whether an event in js/events has been chosen
+                          in this save, including the one running now.
+                          Queued events count once they're chosen.
+realized('toothbrush')    Whether an epiphany has been realized.
+dayAccessible('X.txt')    The day an event became accessible.
+arcDone('Summer')         Whether every event in an arc has happened.
+
+e.g. '```stateIf: seen('Beach.txt') and not realized('toothbrush')'.
+
+
+  ** Playtest Reloading *
+
+
+During playtest, js/events and js/epiphanies are watched for files
+being added, changed or removed. The EventReader reads a changed file
+again the next time it's opened, and the EventSelector and 
+EpiphanyManager bring its metadata up to date, keeping any progress
+made on it. A notice like 'Reloaded Beach.txt' shows in the corner
+of the screen for a moment. An event that's running when its file
+changes finishes as it was. Set hotReload to false to turn this off.
 */
 
 //=============================================================================
@@ -127,14 +163,10 @@ is a setter, we can either turn on or off a benefit.
 		let epiphFileType = ".txt";
 		let pFile = "persistentMeta.json";
 		let noMoreEventsPath = path.join(".", "js", "specialEvents", "noMoreEvents.txt");
-		let eventFormattingError = 	"It appears this event was not formatted properly.\n" +
-									"Please report this to Demi to get it fixed:";
-		let epiphFormattingError = 	"It appears this epiphany was not formatted properly.\n" +
-									"Please report this to Demi to get it fixed:";
-		let namingCollisionError = 	"It appears an epiphany and event were named the same.\n" +
-									"Please report this to Demi so they can feel properly embarrased:";
-									
 		let jsonSpacing = 4;
+		let hotReload = true; // Whether playtests pick up files edited while the game's running.
+		let reloadNoticeFormat = "Reloaded %1"; // '%1' is replaced with the names of the files reloaded.
+		let reloadNoticeFrames = 120; // How long the reload notice stays up.
 
 //=============================================================================
 //  Event Selector Persistent Data
@@ -207,6 +239,15 @@ is a setter, we can either turn on or off a benefit.
 			EventSelector.__start();
 		}
 		
+		// Modifies the RMMV scene update to pick up files changed during playtest between frames.
+		let RMMVRawSceneUpdate = Scene_Base.prototype.update;
+		Scene_Base.prototype.update = function() {
+			RMMVRawSceneUpdate.call(this);
+			if ($gameTemp && $gameTemp.isPlaytest()) {
+				EventSelector.__reloadChanged(this);
+			}
+		};
+		
 
 //=============================================================================
 //  Event Selector Interface
@@ -280,7 +321,7 @@ is a setter, we can either turn on or off a benefit.
 		};
 		
 		// Initialize by running through all the events and storing them as data.
-		// PRESUMES:  people aren't messing with the files while a game is running
+		// Files changed after this, during playtest, are picked up by __reloadMeta.
 		EventSelector.__init = function () {
 			
 			// Update the EventMeta data w/ new files--this is all files on first run.
@@ -387,7 +428,7 @@ is a setter, we can either turn on or off a benefit.
 				if (queued.timer <= 0) {
 					queuedEvent = this.__p.eventMetas[queued.eventMetaName].directory;
 					this.__p.eventQueue.shift();
-					this.__p.eventsOccurred.push(queuedEvent);
+					this.__p.eventsOccurred.push(queued.eventMetaName);
 				}
 			}
 			return queuedEvent;
@@ -578,6 +619,41 @@ is a setter, we can either turn on or off a benefit.
 			return Object.keys(this.__p.eventMetas).length === 0 && this.__p.eventMetas.constructor === Object;
 		};
 		
+		// Brings the EventMeta of a file added, changed or removed during playtest up to date.
+		// Progress like dayAccessible is kept, and the rest is read again the next time an event is chosen.
+		EventSelector.__reloadMeta = function (filepath) {
+			if (this.__eventMetasUninitialized()) { return; }
+			
+			let eventName = path.basename(filepath);
+			let theEventMeta = this.__p.eventMetas[eventName];
+			if (fs.existsSync(filepath)) {
+				if (theEventMeta) {
+					theEventMeta.directory = filepath;
+				} else {
+					this.__p.eventMetas[eventName] = new EventMeta(filepath);
+				}
+				
+				// New events have their mentions counted again, so a changed one is treated as new.
+				if (!this.__p.newEvents.includes(eventName)) { this.__p.newEvents.push(eventName); }
+			} else if (theEventMeta && theEventMeta.directory === filepath) {
+				delete this.__p.eventMetas[eventName];
+				this.__forgetMentions(eventName);
+			}
+		};
+		
+		// Drops a removed event from the mentions recorded of it and in it.
+		EventSelector.__forgetMentions = function (eventName) {
+			let index = this.__p.newEvents.indexOf(eventName);
+			if (index !== -1) { this.__p.newEvents.splice(index, 1); }
+			
+			delete this.__p.recordedMentions[eventName];
+			Object.keys(this.__p.recordedMentions).forEach(function(e) {
+				let mentions = this.__p.recordedMentions[e];
+				if (mentions[eventName]) { mentions.totalMentions -= mentions[eventName]; }
+				delete mentions[eventName];
+			}.bind(EventSelector));
+		};
+		
 		// Finds and returns the cadence of the focused epiphany.
 		EventSelector.__getFocusedCadence = function () {
 			let theCadence = 0;
@@ -615,7 +691,7 @@ is a setter, we can either turn on or off a benefit.
 			if (this.__p.currentEvent[0].startsWith("// Arc | ")) {
 				return this.__p.currentEvent[0].split(" | ")[1].trim();
 			} else {
-				throw eventFormattingError + " " + eventName;
+				throw __formatError(this.__getEventDir(eventName), 1, "// Arc | ");
 			}
 		};
 		
@@ -625,7 +701,7 @@ is a setter, we can either turn on or off a benefit.
 			if (this.__p.currentEvent[1].startsWith("// Characters | ")) {
 				return this.__p.currentEvent[1].split(" | ")[1].trim().split(" ");
 			} else {
-				throw eventFormattingError + " " + eventName;
+				throw __formatError(this.__getEventDir(eventName), 2, "// Characters | ");
 			}
 		};
 		
@@ -651,7 +727,7 @@ is a setter, we can either turn on or off a benefit.
 				
 				return prereqs.concat(names);
 			} else {
-				throw eventFormattingError + " " + eventName;
+				throw __formatError(this.__getEventDir(eventName), 3, "// Prereqs | ");
 			}
 		};
 		
@@ -667,7 +743,7 @@ is a setter, we can either turn on or off a benefit.
 				let hasEpiph = Object.keys(EpiphanyManager.__p.epiphanyMetas).includes(e);
 				
 				// An event and epiphany have the same name. Bad Demi.
-				if (hasEvent && hasEpiph) { throw namingCollisionError; }
+				if (hasEvent && hasEpiph) { throw __namingError(e); }
 				
 				let eMPrereqs = [];
 				if (hasEvent) { 
@@ -889,7 +965,7 @@ is a setter, we can either turn on or off a benefit.
 			let hasEpiph = Object.keys(this.__p.epiphanyMetas).includes(e);
 			
 			// An event and epiphany have the same name. Bad Demi.
-			if (hasEvent && hasEpiph) { throw namingCollisionError; }
+			if (hasEvent && hasEpiph) { throw __namingError(e); }
 			
 			let eMPrereqs = [];
 			if (hasEvent) { 
@@ -942,7 +1018,7 @@ is a setter, we can either turn on or off a benefit.
 //=============================================================================
 
 	// Initialize by running through all the events and storing them as data.
-	// PRESUMES:  people aren't messing with the files while a game is running
+	// Files changed after this, during playtest, are picked up by __reloadMeta.
 	EpiphanyManager.__init = function () {
 		
 		// Update the EventMeta data w/ new files--this is all files on first run.
@@ -972,6 +1048,25 @@ is a setter, we can either turn on or off a benefit.
 		return Object.keys(this.__p.epiphanyMetas).length === 0 && this.__p.epiphanyMetas.constructor === Object;
 	};
 	
+	// Brings the EpiphanyMeta of a file added, changed or removed during playtest up to date.
+	// Progress and cadence are kept, and the rest is read again the next time events are weighed.
+	EpiphanyManager.__reloadMeta = function (filepath) {
+		if (this.__epiphMetasUninitialized()) { return; }
+		
+		let epiphName = path.basename(filepath);
+		let theEpiphMeta = this.__p.epiphanyMetas[epiphName];
+		if (fs.existsSync(filepath)) {
+			if (theEpiphMeta) {
+				theEpiphMeta.directory = filepath;
+			} else {
+				this.__p.epiphanyMetas[epiphName] = new EpiphanyMeta(filepath);
+			}
+		} else if (theEpiphMeta && theEpiphMeta.directory === filepath) {
+			delete this.__p.epiphanyMetas[epiphName];
+			if (this.__p.focusedEpiphany === epiphName) { this.__p.focusedEpiphany = ""; }
+		}
+	};
+	
 	EpiphanyManager.__alreadyRealized = function(eventName) {
 		return 	this.__p.realizedEpiphanies.contains(eventName) ||
 				this.__p.reservedEpiphanies.contains(eventName);
@@ -993,7 +1088,7 @@ is a setter, we can either turn on or off a benefit.
 		if (this.__p.currentEpiph[0].startsWith("// MapName | ")) {
 			return this.__p.currentEpiph[0].split(" | ")[1].trim();
 		} else {
-			throw epiphFormattingError + " " + epiphName;
+			throw __formatError(this.__getEpiphDir(epiphName), 1, "// MapName | ");
 		}
 	};
 	
@@ -1003,7 +1098,7 @@ is a setter, we can either turn on or off a benefit.
 		if (this.__p.currentEpiph[1].startsWith("// Benefit | ")) {
 			return this.__p.currentEpiph[1].split(" | ")[1].trim();
 		} else {
-			throw epiphFormattingError + " " + epiphName;
+			throw __formatError(this.__getEpiphDir(epiphName), 2, "// Benefit | ");
 		}
 	};
 	
@@ -1013,7 +1108,7 @@ is a setter, we can either turn on or off a benefit.
 		if (this.__p.currentEpiph[2].startsWith("// pOccurrence | ")) {
 			return this.__p.currentEpiph[2].split(" | ")[1].trim().split(" ");
 		} else {
-			throw epiphFormattingError + " " + epiphName;
+			throw __formatError(this.__getEpiphDir(epiphName), 3, "// pOccurrence | ");
 		}
 	};
 	
@@ -1023,7 +1118,7 @@ is a setter, we can either turn on or off a benefit.
 		if (this.__p.currentEpiph[3].startsWith("// pPurpose | ")) {
 			return Number(this.__p.currentEpiph[3].split(" | ")[1].trim());
 		} else {
-			throw epiphFormattingError + " " + epiphName;
+			throw __formatError(this.__getEpiphDir(epiphName), 4, "// pPurpose | ");
 		}
 	};
 	
@@ -1033,7 +1128,7 @@ is a setter, we can either turn on or off a benefit.
 		if (this.__p.currentEpiph[4].startsWith("// pFlow | ")) {
 			return Number(this.__p.currentEpiph[4].split(" | ")[1].trim());
 		} else {
-			throw epiphFormattingError + " " + epiphName;
+			throw __formatError(this.__getEpiphDir(epiphName), 5, "// pFlow | ");
 		}
 	};
 	
@@ -1043,7 +1138,7 @@ is a setter, we can either turn on or off a benefit.
 		if (this.__p.currentEpiph[5].startsWith("// pEnjoyment | ")) {
 			return Number(this.__p.currentEpiph[5].split(" | ")[1].trim());
 		} else {
-			throw epiphFormattingError + " " + epiphName;
+			throw __formatError(this.__getEpiphDir(epiphName), 6, "// pEnjoyment | ");
 		}
 	};
 	
@@ -1053,7 +1148,7 @@ is a setter, we can either turn on or off a benefit.
 		if (this.__p.currentEpiph[6].startsWith("// Inspiration | ")) {
 			return this.__p.currentEpiph[6].split(" | ")[1].trim().split(" ");
 		} else {
-			throw epiphFormattingError + " " + epiphName;
+			throw __formatError(this.__getEpiphDir(epiphName), 7, "// Inspiration | ");
 		}
 	};
 	
@@ -1187,13 +1282,144 @@ is a setter, we can either turn on or off a benefit.
 			$gameSwitches.setValue($dataSystem.switches.indexOf(key), value);
 		};
 		
+		// Shows a line of text in the corner of a scene for a moment, fading out before it goes.
+		let __showNotice = function (scene, text) {
+			let height = 32;
+			let sprite = new Sprite(new Bitmap(Graphics.width, height));
+			sprite.bitmap.fontSize = 18;
+			sprite.bitmap.drawText(text, 8, 0, Graphics.width - 16, height);
+			sprite.framesLeft = reloadNoticeFrames;
+			sprite.update = function () {
+				Sprite.prototype.update.call(this);
+				this.framesLeft--;
+				this.opacity = Math.min(255, this.framesLeft * 16);
+				if (this.framesLeft <= 0) { scene.removeChild(this); }
+			};
+			scene.addChild(sprite);
+		};
+		
+		// The error for an event or epiphany whose header is missing a line, pointing at where the line should be.
+		let __formatError = function (filepath, line, expected) {
+			return new EventError("FormatError", "expected this line to start with '" + expected + "'.", { file: filepath, line: line });
+		};
+		
+		// The error for an event and an epiphany sharing a name, which leaves prereqs unable to tell them apart.
+		let __namingError = function (name) {
+			return new EventError("NamingError", "an event and an epiphany are both named '" + name + "'.");
+		};
+		
 	
+//=============================================================================
+//  Playtest Reloading
+//============================================================================= 
+
+		// Files changed since the last frame, each with the manager whose metadata it's read into.
+		EventSelector.__changedFiles = [];
+		
+		// The folders being watched.
+		EventSelector.__watched = [];
+		
+		// Watches a folder and every folder within it, noting each file of the given type that changes.
+		// Folders made while the game's running are watched from then on.
+		EventSelector.__watch = function (folder, manager, fileType) {
+			if (!fs.existsSync(folder) || this.__watched.includes(folder)) { return; }
+			
+			let watcher = fs.watch(folder, function(change, fileOrDir) {
+				if (!fileOrDir) { return; }
+				let filepath = path.join(folder, fileOrDir);
+				if (fileOrDir.endsWith(fileType)) {
+					this.__changedFiles.push({ filepath: filepath, manager: manager });
+				} else if (fs.existsSync(filepath) && fs.statSync(filepath).isDirectory()) {
+					this.__watch(filepath, manager, fileType);
+				}
+			}.bind(EventSelector));
+			
+			// A folder that's removed stops being watched.
+			watcher.on("error", function() {
+				watcher.close();
+				this.__watched.splice(this.__watched.indexOf(folder), 1);
+			}.bind(EventSelector));
+			this.__watched.push(folder);
+			
+			fs.readdirSync(folder).forEach(function(fileOrDir) {
+				let filepath = path.join(folder, fileOrDir);
+				if (fs.statSync(filepath).isDirectory()) { this.__watch(filepath, manager, fileType); }
+			}.bind(EventSelector));
+		};
+		
+		// Reloads the files changed since the last frame, then shows a notice on the scene saying which.
+		// The reader reads each again the next time it's opened, and the managers bring their metadata up to date.
+		EventSelector.__reloadChanged = function (scene) {
+			if (this.__changedFiles.length === 0) { return; }
+			
+			let names = [];
+			this.__changedFiles.forEach(function(changed) {
+				EventReader.__forgetScript(changed.filepath);
+				changed.manager.__reloadMeta(changed.filepath);
+				let name = path.basename(changed.filepath);
+				if (!names.includes(name)) { names.push(name); }
+			});
+			this.__changedFiles = [];
+			__showNotice(scene, reloadNoticeFormat.replace("%1", names.join(", ")));
+		};
+		
+	
+//=============================================================================
+//  Logic Evaluator Functions
+//============================================================================= 
+
+		// Lets any LogicEvaluator statement ask about the story so far, e.g. 'seen('Beach.txt') and not realized('toothbrush')'.
+		// These read our persistent data directly, so there's no need for a temporary RMMV variable.
+		
+		// Whether an event has been chosen in this save. Events are counted as they're chosen, so the one running counts,
+		// but those waiting in the queue don't until their turn comes.
+		LogicEvaluator.registerFunction("seen", function(eventName) {
+			return EventSelector.__p.eventsOccurred.includes(eventName);
+		});
+		
+		// Whether an epiphany has been realized in this save, including those waiting to be dreamt.
+		// Epiphanies can be named with or without their file type.
+		LogicEvaluator.registerFunction("realized", function(epiphName) {
+			return [epiphName, epiphName + epiphFileType].some(function(name) {
+				return 	EpiphanyManager.__p.realizedEpiphanies.includes(name) ||
+						EpiphanyManager.__p.reservedEpiphanies.includes(name);
+			});
+		});
+		
+		// The in-game day an event became one the EventSelector could pick.
+		LogicEvaluator.registerFunction("dayAccessible", function(eventName) {
+			let theEventMeta = EventSelector.__p.eventMetas[eventName];
+			if (!theEventMeta) { throw new EventError("DataNotFound", "there's no event named '" + eventName + "'."); }
+			return theEventMeta.dayAccessible;
+		});
+		
+		// Whether every event in an arc has happened in this save.
+		LogicEvaluator.registerFunction("arcDone", function(arc) {
+			let metas = EventSelector.__p.eventMetas;
+			let arcEvents = Object.keys(metas).filter(function(e) { return metas[e].arc === arc; });
+			if (arcEvents.length === 0) { throw new EventError("DataNotFound", "there are no events in the arc '" + arc + "'."); }
+			return arcEvents.every(function(e) { return EventSelector.__p.eventsOccurred.includes(e); });
+		});
+		
+		
 //=============================================================================
 //  RMMV Footer
 //============================================================================= 
 		window.EventSelector = EventSelector;
 		window.EpiphanyManager = EpiphanyManager;
 		
+		// Anything the interfaces throw is handed to the EventErrorReporter.
+		// A chooseEvent that fails gives EventReader.noEvent, so readEvent skips the event rather than failing too.
+		EventErrorReporter.guard(EventSelector, ["chooseEvent"], "EventSelector", EventReader.noEvent);
+		EventErrorReporter.guard(EventSelector, ["isEventSeen", "newGamePlusPlus", "queueEvent"], "EventSelector");
+		EventErrorReporter.guard(EpiphanyManager, ["updateOccurrence", "updateEvent", "setBenefit", "dequeueEpiphany"], "EpiphanyManager");
+		
+		// Playtests pick up files edited while the game's running.
+		if (hotReload && EventErrorReporter.__build() === "playtest") {
+			EventSelector.__watch(eventFolder, EventSelector, eventFileType);
+			EventSelector.__watch(epiphanyFolder, EpiphanyManager, epiphFileType);
+		}
+		
 	} // End setup.
 	
 	// Run the closure.
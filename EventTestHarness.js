@@ -0,0 +1,547 @@
+//=============================================================================
+//  EventTestHarness.js
+//=============================================================================
+
+/*
+* Version v1.0.0
+* Last updated 10/19/26
+*/
+
+/*
+* @author DemiDawn
+*
+* A Node.js harness for running event scripts without launching the game.
+* It loads EventReader.js and EventSelector.js alongside stand-ins for the
+* RMMV objects they use, plays a script through with scripted choice answers,
+* and returns a transcript of everything that happened.
+*
+*     node EventTestHarness.js <script> [--answers 0,1,0] [--var v_day=3] [--switch s_met=true]
+*                              [--seed 7] [--expect expected.json] [--write expected.json] [--project dir]
+*                              [--compiled]
+*
+* With --expect, the transcript is compared against the stored one and the command
+* exits with 1 if they differ. With --write, the transcript is stored for later runs.
+
+
+  ** Transcript *
+
+An array of entries in the order they happened. Messages only have a face,
+background or position if they aren't RMMV's defaults:
+
+{ type: "message", pages: [["line", ...], ...], face: "Mira 1", background: "dim", position: "top" }
+{ type: "choice", choices: ["Yes", "No"], answer: 0 }
+{ type: "variable", name: "v_day", value: 4 }
+{ type: "switch", name: "s_met", value: true }
+{ type: "command", code: 356, parameters: ["..."] }
+
+
+  ** Interface *
+
+runEvent(script, options)
+
+Plays the script through and returns its transcript. Options:
+
+projectDir:  The game's folder. Defaults to the current folder.
+answers:     The index to answer each choice with, in order.
+variables:   Starting values for variables, keyed by name.
+switches:    Starting values for switches, keyed by name.
+gold:        The party's gold.
+items:       How many of each item, weapon or armor the party has, keyed by name.
+party:       The names of the actors in the party.
+levels:      Actors' levels, keyed by name. Actors not listed are level 1.
+selfSwitches: The self switches of the event being run that are on, like ["A"].
+state:       The reader's state as a save file keeps it, to pick the event back up
+             from instead of starting the script from the top. Older versions are
+             upgraded the way loading the save would.
+seed:        The seed for randInt, chance and pick. Defaults to the same one every
+             run, so a transcript can be expected.
+maxFrames:   How many frames the event can run before it's considered stuck.
+build:       The build errors are reported as, "playtest" or "release". Defaults to
+             "tools", which throws them.
+logFile:     Where errors are logged, for builds that log them.
+compiled:    Compile the script to RMMV commands and play those instead, the way
+             RMMV's interpreter would, to check they do what the script does.
+
+
+compareTranscripts(actual, expected)
+
+Returns a list of the differences between two transcripts. Empty if they match.
+*/
+
+//=============================================================================
+//  Node Meta
+//=============================================================================
+
+let fs = require('fs');
+let path = require('path');
+let vm = require('vm');
+let EventNodeContext = require('./EventNodeContext.js');
+let EventCompiler = require('./CompileEventScripts.js').EventCompiler;
+
+let defaultMaxFrames = 10000;
+let defaultSeed = 1;
+let jsonSpacing = 4;
+
+// RMMV's checks for each comparison code a variable condition can make.
+let comparisons = [
+	function (a, b) { return a === b; },
+	function (a, b) { return a >= b; },
+	function (a, b) { return a <= b; },
+	function (a, b) { return a > b; },
+	function (a, b) { return a < b; },
+	function (a, b) { return a !== b; }
+];
+
+// RMMV's operations for each code Control Variables can use.
+let operations = [
+	function (a, b) { return b; },
+	function (a, b) { return a + b; },
+	function (a, b) { return a - b; },
+	function (a, b) { return a * b; },
+	function (a, b) { return a / b; },
+	function (a, b) { return a % b; }
+];
+
+//=============================================================================
+//  Harness
+//=============================================================================
+
+// Creating the wrapper object the user will interface with.
+// Each harness plays a single event.
+function EventHarness(options) {
+	this.projectDir = path.resolve(options.projectDir || ".");
+	this.answers = (options.answers || []).slice();
+	this.maxFrames = options.maxFrames || defaultMaxFrames;
+	this.transcript = [];
+	this.system = EventNodeContext.loadSystem(this.projectDir);
+	this.options = options;
+
+	this.context = EventNodeContext.createContext(this.projectDir, this.__makeStandIns());
+	this.context.LogicEvaluator.seed(options.seed === undefined ? defaultSeed : options.seed);
+	if (options.build) { this.context.EventErrorReporter.__build = function () { return options.build; }; }
+	if (options.logFile) { this.context.EventErrorReporter.logFile = options.logFile; }
+	this.__setStart(options.variables || {}, this.system.variables, this.variables);
+	this.__setStart(options.switches || {}, this.system.switches, this.switches);
+}
+
+// Plays the event through, returning the transcript.
+EventHarness.prototype.run = function (script) {
+	let interpreter = this.context.$gameMap._interpreter;
+	let message = this.context.$gameMessage;
+	if (this.options.compiled) {
+		return this.__runList(interpreter, new EventCompiler(this.projectDir).compileFile(path.resolve(this.projectDir, script)));
+	}
+
+	// A saved state picks up where it left off, the way loading the save would.
+	if (this.options.state) {
+		this.context.EventReader.__loadState(this.options.state);
+		interpreter.setWaitMode("eventReader");
+	} else {
+		this.variables[1] = path.relative(process.cwd(), path.resolve(this.projectDir, script));
+		this.context.EventReader.readEvent();
+	}
+
+	// Step through frames the way RMMV's interpreter would, showing messages as soon as they're waited on.
+	for (let frame = 0; frame < this.maxFrames; frame++) {
+		if (this.__runChild(interpreter)) { continue; }
+
+		let waiting = interpreter.updateWaitMode();
+		if (message.isBusy()) {
+			this.__showMessage();
+		} else if (!waiting && interpreter._waitMode === "") {
+			return this.transcript;
+		}
+	}
+
+	throw new this.context.EventError("HarnessError", "the event was still running after " + this.maxFrames + " frames.");
+};
+
+// Plays a compiled command list the way RMMV's interpreter would, jumping by indent.
+// Only the commands the compiler makes are followed. The rest are recorded, as a child's are.
+EventHarness.prototype.__runList = function (interpreter, list) {
+	let message = this.context.$gameMessage;
+	let branch = {};
+	let steps = 0;
+
+	// Skips past the commands nested under the one at i, returning where it stopped.
+	function skipBranch(i) {
+		let indent = list[i].indent;
+		while (list[i + 1].indent > indent) { i++; }
+		return i;
+	}
+
+	for (let i = 0; i < list.length; i++) {
+		if (steps++ > this.maxFrames) {
+			throw new this.context.EventError("HarnessError", "the event was still running after " + this.maxFrames + " commands.");
+		}
+
+		let command = list[i];
+		let params = command.parameters;
+		switch (command.code) {
+			case 0: case 112: case 118: case 404: case 412:
+				break;
+			case 101:
+				message.setFaceImage(params[0], params[1]);
+				message.setBackground(params[2]);
+				message.setPositionType(params[3]);
+				while (list[i + 1].code === 401) { message.add(list[++i].parameters[0]); }
+				break;
+			case 102:
+				message.setChoices(params[0]);
+				message.setChoiceCallback(function (n) { branch[command.indent] = n; });
+				break;
+			case 402:
+				if (branch[command.indent] !== params[0]) { i = skipBranch(i); }
+				break;
+			case 111:
+				branch[command.indent] = this.__checkCondition(params);
+				if (!branch[command.indent]) { i = skipBranch(i); }
+				break;
+			case 411:
+				if (branch[command.indent] !== false) { i = skipBranch(i); }
+				break;
+			case 413:
+				do { i--; } while (list[i].indent !== command.indent);
+				break;
+			case 113:
+				while (i < list.length - 1) {
+					i++;
+					if (list[i].code === 413 && list[i].indent < command.indent) { break; }
+				}
+				break;
+			case 119:
+				i = list.findIndex(function (c) { return c.code === 118 && c.parameters[0] === params[0]; });
+				break;
+			case 121:
+				for (let id = params[0]; id <= params[1]; id++) { this.context.$gameSwitches.setValue(id, params[2] === 0); }
+				break;
+			case 122:
+				this.__controlVariables(params);
+				break;
+			case 355:
+				while (list[i + 1].code === 655) { params = params.concat(list[++i].parameters); }
+				this.__runCommand(interpreter, { code: 355, parameters: [params.join("\n")] });
+				break;
+			default:
+				this.transcript.push({ type: "command", code: command.code, parameters: params });
+				this.__runCommand(interpreter, command);
+		}
+
+		this.__runChild(interpreter);
+		if (message.isBusy()) { this.__showMessage(); }
+	}
+	return this.transcript;
+};
+
+// Checks a Conditional Branch's parameters the way RMMV would, for the kinds the compiler makes.
+EventHarness.prototype.__checkCondition = function (params) {
+	switch (params[0]) {
+		case 0:
+			return this.context.$gameSwitches.value(params[1]) === (params[2] === 0);
+		case 1:
+			return comparisons[params[4]](this.context.$gameVariables.value(params[1]), params[2] === 0 ? params[3] : this.context.$gameVariables.value(params[3]));
+		case 12:
+			return !!vm.runInContext(params[1], this.context);
+	}
+	throw new this.context.EventError("HarnessError", "can't check a Conditional Branch of type " + params[0] + ".");
+};
+
+// Runs a Control Variables the way RMMV would, for the operand types the compiler makes.
+EventHarness.prototype.__controlVariables = function (params) {
+	let variables = this.context.$gameVariables;
+	let operands = {
+		0: function () { return params[4]; },
+		1: function () { return variables.value(params[4]); },
+		4: function () { return vm.runInContext(params[4], this.context); }.bind(this)
+	};
+	if (!operands[params[3]]) {
+		throw new this.context.EventError("HarnessError", "can't get a Control Variables operand of type " + params[3] + ".");
+	}
+
+	let value = operands[params[3]]();
+	for (let id = params[0]; id <= params[1]; id++) {
+		variables.setValue(id, operations[params[2]](variables.value(id), value));
+	}
+};
+
+// Runs the commands the reader handed off to a child interpreter, if there are any.
+EventHarness.prototype.__runChild = function (interpreter) {
+	let child = interpreter._childInterpreter;
+	if (!child) { return false; }
+
+	interpreter._childInterpreter = null;
+	child._list.forEach(function (command) {
+		if (command.code === 0) { return; }
+		this.transcript.push({ type: "command", code: command.code, parameters: command.parameters });
+		this.__runCommand(child, command);
+		this.__runChild(child);
+	}.bind(this));
+	return true;
+};
+
+// Runs the RMMV commands the plugins have a hand in: scripts and plugin commands. The rest are only recorded.
+EventHarness.prototype.__runCommand = function (interpreter, command) {
+	if (command.code === 355) {
+		this.context.__harnessInterpreter = interpreter;
+		vm.runInContext("(function () {" + command.parameters[0] + "}).call(__harnessInterpreter);", this.context);
+	} else if (command.code === 356) {
+		let args = command.parameters[0].split(" ");
+		interpreter.pluginCommand(args.shift(), args);
+	}
+};
+
+// Shows the queued message, answering its choices if it has any.
+EventHarness.prototype.__showMessage = function () {
+	let message = this.context.$gameMessage;
+	if (message.pages.length > 0) {
+		let entry = { type: "message", pages: message.pages };
+		if (message.faceName) { entry.face = message.faceName + " " + message.faceIndex; }
+		if (message.background !== 0) { entry.background = this.__nameOf(this.context.EventReader.backgrounds, message.background); }
+		if (message.positionType !== 2) { entry.position = this.__nameOf(this.context.EventReader.positions, message.positionType); }
+		this.transcript.push(entry);
+	}
+
+	if (message.choices) {
+		if (this.answers.length === 0) {
+			throw new this.context.EventError("HarnessError", "ran out of answers for the choice " + JSON.stringify(message.choices) + ".");
+		}
+		let answer = this.answers.shift();
+		this.transcript.push({ type: "choice", choices: message.choices, answer: answer });
+		let callback = message.choiceCallback;
+		message.clear();
+		callback(answer);
+	} else {
+		message.clear();
+	}
+};
+
+// Returns the name a code is keyed by.
+EventHarness.prototype.__nameOf = function (codes, code) {
+	return Object.keys(codes).find(function (name) { return codes[name] === code; });
+};
+
+// Applies starting values by name.
+EventHarness.prototype.__setStart = function (values, names, data) {
+	Object.keys(values).forEach(function (name) {
+		let id = names.indexOf(name);
+		if (id === -1) { throw new this.context.EventError("DataNotFound", "there's no variable or switch named '" + name + "'."); }
+		data[id] = values[name];
+	}.bind(this));
+};
+
+//=============================================================================
+//  Harness RMMV Stand-ins
+//=============================================================================
+
+// Builds the RMMV objects the plugins use, recording anything they change into the transcript.
+EventHarness.prototype.__makeStandIns = function () {
+	let harness = this;
+	let system = this.system;
+	this.variables = {};
+	this.switches = {};
+
+	let $gameVariables = {
+		value: function (id) { return harness.variables[id] === undefined ? 0 : harness.variables[id]; },
+		setValue: function (id, value) {
+			harness.variables[id] = value;
+			harness.transcript.push({ type: "variable", name: system.variables[id], value: value });
+		}
+	};
+
+	let $gameSwitches = {
+		value: function (id) { return !!harness.switches[id]; },
+		setValue: function (id, value) {
+			harness.switches[id] = value;
+			harness.transcript.push({ type: "switch", name: system.switches[id], value: value });
+		}
+	};
+
+	// The party and actors only answer questions, from the harness's options. Commands that change them are recorded.
+	let options = this.options;
+	function actorNamed(name) {
+		return {
+			name: name,
+			level: (options.levels || {})[name] || 1,
+			actorId: function () { return harness.context.EventReader.__findData("$dataActors", name, "actor"); }
+		};
+	}
+
+	let $gameParty = {
+		gold: function () { return options.gold || 0; },
+		numItems: function (item) { return (options.items || {})[item.name] || 0; },
+		members: function () { return (options.party || []).map(actorNamed); }
+	};
+
+	let $gameActors = {
+		actor: function (id) { return actorNamed(harness.context.$dataActors[id].name); }
+	};
+
+	let $gameSelfSwitches = {
+		value: function (key) { return (options.selfSwitches || []).includes(key[2]); }
+	};
+
+	// Messages are kept as pages of lines, the way the message window would show them.
+	let $gameMessage = {
+		pages: [],
+		faceName: "",
+		faceIndex: 0,
+		background: 0,
+		positionType: 2,
+		choices: null,
+		choiceCallback: null,
+		clear: function () {
+			this.pages = [];
+			this.faceName = "";
+			this.faceIndex = 0;
+			this.background = 0;
+			this.positionType = 2;
+			this.choices = null;
+			this.choiceCallback = null;
+		},
+		setFaceImage: function (faceName, faceIndex) { this.faceName = faceName; this.faceIndex = faceIndex; },
+		setBackground: function (background) { this.background = background; },
+		setPositionType: function (positionType) { this.positionType = positionType; },
+		hasText: function () { return this.pages.length > 0; },
+		newPage: function () { this.pages.push([]); },
+		add: function (text) {
+			if (this.pages.length === 0) { this.newPage(); }
+			this.pages[this.pages.length - 1].push(text);
+		},
+		setChoices: function (choices) { this.choices = choices; },
+		setChoiceCallback: function (callback) { this.choiceCallback = callback; },
+		isBusy: function () { return this.pages.length > 0 || !!this.choices; }
+	};
+
+	// Only as much of the interpreter as the reader leans on.
+	// The event's played as if it were event 1 on map 1, so it has self switches to check.
+	function Game_Interpreter() {
+		this._waitMode = "";
+		this._eventId = 1;
+		this._indent = 0;
+		this._list = [];
+		this._childInterpreter = null;
+	}
+	Game_Interpreter.prototype.setWaitMode = function (waitMode) { this._waitMode = waitMode; };
+	Game_Interpreter.prototype.eventId = function () { return this._eventId; };
+	Game_Interpreter.prototype.setupChild = function (list, eventId) {
+		this._childInterpreter = new Game_Interpreter();
+		this._childInterpreter._list = list;
+		this._childInterpreter._eventId = eventId;
+	};
+	Game_Interpreter.prototype.pluginCommand = function () {};
+	Game_Interpreter.prototype.updateWaitMode = function () {
+		let waiting = this._waitMode === "message" && $gameMessage.isBusy();
+		if (!waiting) { this._waitMode = ""; }
+		return waiting;
+	};
+
+	return {
+		$dataSystem: system,
+		$gameVariables: $gameVariables,
+		$gameSwitches: $gameSwitches,
+		$gameMessage: $gameMessage,
+		$gameParty: $gameParty,
+		$gameActors: $gameActors,
+		$gameSelfSwitches: $gameSelfSwitches,
+		Game_Interpreter: Game_Interpreter,
+		$gameMap: { _interpreter: new Game_Interpreter(), mapId: function () { return 1; } },
+
+		// Sound is already recorded by the commands that play it, so the scripts that stop it have nothing to do.
+		AudioManager: { stopMe: function () {} }
+	};
+};
+
+//=============================================================================
+//  Interface
+//=============================================================================
+
+// Plays an event script through and returns its transcript.
+function runEvent(script, options) {
+	return new EventHarness(options || {}).run(script);
+}
+
+// Lists the differences between two transcripts.
+function compareTranscripts(actual, expected) {
+	let differences = [];
+	let length = Math.max(actual.length, expected.length);
+	for (let i = 0; i < length; i++) {
+		let a = JSON.stringify(actual[i]);
+		let e = JSON.stringify(expected[i]);
+		if (a !== e) {
+			differences.push("Entry " + i + ":\n    expected " + e + "\n    but got  " + a);
+		}
+	}
+	return differences;
+}
+
+//=============================================================================
+//  Command Line
+//=============================================================================
+
+// Reads 'name=value' pairs given on the command line.
+function __parsePairs(pairs) {
+	let values = {};
+	pairs.forEach(function (pair) {
+		let split = pair.indexOf("=");
+		values[pair.substring(0, split)] = JSON.parse(pair.substring(split + 1));
+	});
+	return values;
+}
+
+// Sorts the command line into the script and its options.
+function __parseArgs(argv) {
+	let args = { script: null, answers: [], variables: [], switches: [], seed: undefined, expect: null, write: null, projectDir: ".", compiled: false };
+	for (let i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case "--answers": args.answers = argv[++i].split(",").map(Number); break;
+			case "--var": args.variables.push(argv[++i]); break;
+			case "--switch": args.switches.push(argv[++i]); break;
+			case "--seed": args.seed = Number(argv[++i]); break;
+			case "--expect": args.expect = argv[++i]; break;
+			case "--write": args.write = argv[++i]; break;
+			case "--project": args.projectDir = argv[++i]; break;
+			case "--compiled": args.compiled = true; break;
+			default: args.script = argv[i];
+		}
+	}
+	return args;
+}
+
+if (require.main === module) {
+	let args = __parseArgs(process.argv.slice(2));
+	let transcript = null;
+	try {
+		transcript = runEvent(args.script, {
+			projectDir: args.projectDir,
+			answers: args.answers,
+			variables: __parsePairs(args.variables),
+			switches: __parsePairs(args.switches),
+			seed: args.seed,
+			compiled: args.compiled
+		});
+	} catch (e) {
+
+		// Errors are printed as they read, e.g. 'Beach.txt:42: SyntaxError:  ...', rather than field by field.
+		console.error(String(e));
+		process.exit(1);
+	}
+
+	if (args.write) {
+		fs.writeFileSync(args.write, JSON.stringify(transcript, null, jsonSpacing));
+	}
+
+	if (args.expect) {
+		let differences = compareTranscripts(transcript, JSON.parse(fs.readFileSync(args.expect, "utf8")));
+		differences.forEach(function (d) { console.log(d); });
+		console.log(differences.length === 0 ? "Transcript matches." : differences.length + " differences found.");
+		process.exitCode = differences.length > 0 ? 1 : 0;
+	} else if (!args.write) {
+		console.log(JSON.stringify(transcript, null, jsonSpacing));
+	}
+}
+
+module.exports = {
+	EventHarness: EventHarness,
+	runEvent: runEvent,
+	compareTranscripts: compareTranscripts
+};
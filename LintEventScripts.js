@@ -0,0 +1,341 @@
+//=============================================================================
+//  LintEventScripts.js
+//=============================================================================
+
+/*
+* Version v1.0.0
+* Last updated 10/19/26
+*/
+
+/*
+* @author DemiDawn
+*
+* A Node.js command that checks every event script for mistakes before the
+* game is ever launched. Run it from the project folder, or pass the folder:
+*
+*     node LintEventScripts.js [projectDir]
+*
+* Every script under js/events is checked against the project's data/System.json.
+* Problems are printed as 'file:line: message', and the command exits with 1
+* if any were found so builds can stop on it.
+
+
+  ** Checks *
+
+Syntax:       Unclosed stateIf/stateWhile/stateChoice/defineMacro blocks, stray
+              elif/endIf/endWhile/endChoice/endMacro and unrecognized commands.
+Names:        'v_' and 's_' names that aren't in $dataSystem. 'l_' names are
+              local to the event, so any are fine.
+Expressions:  Conditions, values and '{...}' in text the LogicEvaluator can't
+              read, along with unknown formats. A 'not' before a comparison
+              without brackets, like not 'v_a' > 3, is pointed out too, since
+              mathjs read it as (not 'v_a') > 3 and older scripts may mean that.
+Commands:     Args that don't fit the command's schema, like a missing value,
+              a background that doesn't exist or a line count of 0. This
+              covers commands added with EventReader.registerCommand too.
+Functions:    Items, actors, self switches, events and epiphanies given
+              to LogicEvaluator functions, like item('Potion') or
+              seen('Beach.txt'), that don't exist.
+Speakers:     Characters and expressions that aren't in js/characters.json.
+Macros:       Calls to macros that don't exist, or with the wrong number of
+              arguments.
+Includes:     Files given to openEvent that can't be found next to the
+              script, in js/events or in EventReader.includePaths.
+*/
+
+//=============================================================================
+//  Node Meta
+//=============================================================================
+
+let fs = require('fs');
+let path = require('path');
+let EventNodeContext = require('./EventNodeContext.js');
+
+//=============================================================================
+//  Linter
+//=============================================================================
+
+// Creating the wrapper object the user will interface with.
+function EventLinter(projectDir) {
+	this.projectDir = projectDir;
+	this.context = EventNodeContext.createContext(projectDir);
+	this.problems = [];
+
+	// The file being linted, and the parameters of the macro being linted, if it's in one.
+	this.script = null;
+	this.params = [];
+}
+
+// Lints every event file, returning the problems found.
+EventLinter.prototype.lintAll = function () {
+	let eventFolder = path.join(this.projectDir, "js", "events");
+	EventNodeContext.findEventFiles(eventFolder).forEach(function (filepath) {
+		this.lintFile(filepath);
+	}.bind(this));
+	return this.problems;
+};
+
+// Lints a single event file.
+EventLinter.prototype.lintFile = function (filepath) {
+	let file = path.relative(this.projectDir, filepath);
+	let text = this.context.EventReader.__processFile(filepath);
+
+	// Syntax errors stop the parse, so only the first one in a file gets reported.
+	let script = null;
+	try {
+		script = this.context.EventParser.parse(text, file);
+	} catch (e) {
+		this.problems.push(String(e));
+		return;
+	}
+
+	this.script = script;
+	this.__lintBody(script.body);
+};
+
+// Walks a block of nodes, checking every node that refers to RMMV data.
+EventLinter.prototype.__lintBody = function (body) {
+	body.forEach(function (node) {
+		if (node.type === "If") {
+			node.branches.forEach(function (branch) {
+				this.__checkLogic(branch, branch.condition);
+				this.__lintBody(branch.body);
+			}.bind(this));
+		} else if (node.type === "While") {
+			this.__checkLogic(node, node.condition);
+			this.__lintBody(node.body);
+		} else if (node.type === "Choice") {
+			node.options.forEach(function (option) { this.__lintBody(option.body); }.bind(this));
+		} else if (node.type === "Macro") {
+			this.params = node.params;
+			this.__lintBody(node.body);
+			this.params = [];
+		} else if (node.type === "Text") {
+			this.__checkText(node);
+		} else if (node.type === "Command") {
+			this.__checkCommand(node);
+		}
+	}.bind(this));
+};
+
+// Records a problem against the node it was found on. It's given as the error thrown, or a message like 'Type: detail'.
+EventLinter.prototype.__report = function (node, problem) {
+	this.problems.push(String(this.context.EventError.from(problem).locate(node)));
+};
+
+// Checks a LogicEvaluator statement, along with every name inside of it.
+EventLinter.prototype.__checkLogic = function (node, statement) {
+	if (this.__usesParams(statement)) { return; }
+
+	let names = [];
+	try {
+		names = this.context.LogicEvaluator.__validate(statement);
+	} catch (e) {
+		this.__report(node, e);
+		return;
+	}
+	names.forEach(function (name) { this.__checkName(node, name); }.bind(this));
+	this.context.LogicEvaluator.__bareNots(statement).forEach(function (at) {
+		this.__report(node, "ExpressionError: at character " + (at + 1) + " of \"" + statement + "\", 'not' applies to the whole comparison after it. " +
+			"Put brackets around what it's meant for, like not ('v_a' > 3) or (not 'v_a') > 3.");
+	}.bind(this));
+	this.context.LogicEvaluator.__functionArgs(statement).forEach(function (call) {
+		if (this.functionChecks[call.name]) { this.functionChecks[call.name].call(this, node, call.arg); }
+	}.bind(this));
+};
+
+// Checks every '{...}' in a line of text.
+EventLinter.prototype.__checkText = function (node) {
+	if (this.__usesParams(node.text)) { return; }
+
+	// Braces that can't be filled in are shown as they are, which is rarely what was meant.
+	let literals = [];
+	let pieces = this.context.EventReader.__splitInterpolation(node.text, literals);
+	literals.forEach(function (e) { this.__report(node, e); }.bind(this));
+	pieces.forEach(function (piece) {
+		if (typeof piece === "string") { return; }
+		this.context.EventReader.__pieceExpressions(piece).forEach(function (expression) { this.__checkLogic(node, expression); }.bind(this));
+	}.bind(this));
+};
+
+// Checks a command's args against its schema, along with the names in any expressions among them.
+EventLinter.prototype.__checkCommand = function (node) {
+	let reader = this.context.EventReader;
+	if (this.__usesParams(node.args)) { return; }
+
+	let args = null;
+	try {
+		args = reader.__parseArgs(node.code, node.args);
+	} catch (e) {
+		this.__report(node, e);
+		return;
+	}
+
+	reader.schemas[node.code].forEach(function (spec) {
+		if ((spec.type === "expression" || spec.type === "expressions") && args[spec.name] !== undefined) {
+			[].concat(args[spec.name]).forEach(function (statement) { this.__checkLogic(node, statement); }.bind(this));
+		}
+	}.bind(this));
+	if (this.commandChecks[node.code]) { this.commandChecks[node.code].call(this, node, args); }
+};
+
+// Finds a file opened from the one being linted, the way the reader would.
+EventLinter.prototype.__resolveInclude = function (name) {
+	let current = path.relative(process.cwd(), path.join(this.projectDir, this.script.file));
+	return this.context.EventReader.__resolveInclude(name, current);
+};
+
+// Whether some text uses the parameters of the macro being linted.
+// A macro's text can't be checked until its parameters are filled in, so anything that uses them is left alone.
+EventLinter.prototype.__usesParams = function (text) {
+	return this.params.some(function (p) { return new RegExp("\\$" + p + "\\b").test(text); });
+};
+
+// Checks an RMMV name exists in the system data.
+// Local variables aren't in the system data, so they're left alone.
+EventLinter.prototype.__checkName = function (node, name) {
+	let system = this.context.$dataSystem;
+	if (this.context.LogicEvaluator.__isLocalVar(name)) {
+		return;
+	} else if (this.context.LogicEvaluator.__isRMMVSwitch(name)) {
+		if (system.switches.indexOf(name) === -1) {
+			this.__report(node, "DataNotFound: there's no switch named '" + name + "'.");
+		}
+	} else if (this.context.LogicEvaluator.__isRMMVVar(name)) {
+		if (system.variables.indexOf(name) === -1) {
+			this.__report(node, "DataNotFound: there's no variable named '" + name + "'.");
+		}
+	} else {
+		this.__report(node, "TypeError: '" + name + "' doesn't follow var or switch naming conventions.");
+	}
+};
+
+//=============================================================================
+//  Linter Command Checks
+//=============================================================================
+
+// Prep the checks wrapper. Each check is keyed by the command it looks at, and is given its parsed args.
+// Every command's args are already checked against its schema, so these only cover what a schema can't.
+EventLinter.prototype.commandChecks = {};
+
+EventLinter.prototype.commandChecks.speaker = function (node, args) {
+	if (args.character.toLowerCase() === "none") { return; }
+	try {
+		this.context.EventReader.__resolveSpeaker({ character: args.character, expression: args.expression });
+	} catch (e) {
+		this.__report(node, e);
+	}
+};
+
+EventLinter.prototype.commandChecks.setVar = function (node, args) {
+	try {
+		this.context.EventReader.__checkAssignment(args);
+	} catch (e) {
+		this.__report(node, e);
+	}
+};
+
+EventLinter.prototype.commandChecks.openEvent = function (node, args) {
+	if (this.__usesParams(args.file)) { return; }
+	try {
+		this.__resolveInclude(args.file);
+	} catch (e) {
+		this.__report(node, e);
+	}
+};
+
+EventLinter.prototype.commandChecks.callMacro = function (node, args) {
+	let name = args.macro;
+
+	// Macros in another file are named along with it, e.g. 'Shops.txt#greet'.
+	let script = this.script;
+	let split = name.indexOf("#");
+	if (split !== -1) {
+		try {
+			let filepath = this.__resolveInclude(name.substring(0, split));
+			script = this.context.EventParser.parse(this.context.EventReader.__processFile(filepath), name.substring(0, split));
+		} catch (e) {
+			this.__report(node, "DataNotFound: couldn't read the macros in " + name.substring(0, split) + ".");
+			return;
+		}
+		name = name.substring(split + 1);
+	}
+
+	let macro = script.macros[name];
+	if (!macro) {
+		this.__report(node, "DataNotFound: there's no macro named '" + name + "' in " + script.file + ".");
+	} else if (args.args.length !== macro.params.length) {
+		this.__report(node, "InvalidInputError: macro '" + name + "' takes " + macro.params.length + 
+					  " arguments, but was given " + args.args.length + ".");
+	}
+};
+
+//=============================================================================
+//  Linter Function Checks
+//=============================================================================
+
+// Prep the checks wrapper. Each check is keyed by the LogicEvaluator function it looks at,
+// and is given the quoted argument it was called with.
+EventLinter.prototype.functionChecks = {};
+
+EventLinter.prototype.functionChecks.item = function (node, name) {
+	this.__checkData(node, function (reader) { reader.__findItem(name); });
+};
+
+EventLinter.prototype.functionChecks.inParty = function (node, name) {
+	this.__checkData(node, function (reader) { reader.__findData("$dataActors", name, "actor"); });
+};
+
+EventLinter.prototype.functionChecks.level = EventLinter.prototype.functionChecks.inParty;
+
+// Events and epiphanies are named by their file, wherever it is in its folder.
+EventLinter.prototype.functionChecks.seen = function (node, eventName) {
+	if (!this.__fileNames(path.join("js", "events")).includes(eventName)) {
+		this.__report(node, "DataNotFound: there's no event named '" + eventName + "' in js/events.");
+	}
+};
+
+EventLinter.prototype.functionChecks.dayAccessible = EventLinter.prototype.functionChecks.seen;
+
+EventLinter.prototype.functionChecks.realized = function (node, epiphName) {
+	let names = this.__fileNames(path.join("js", "epiphanies"));
+	if (!names.includes(epiphName) && !names.includes(epiphName + ".txt")) {
+		this.__report(node, "DataNotFound: there's no epiphany named '" + epiphName + "' in js/epiphanies.");
+	}
+};
+
+EventLinter.prototype.functionChecks.selfSwitch = function (node, letter) {
+	if (!/^[ABCD]$/.test(letter)) {
+		this.__report(node, "InvalidInputError: self switches are A, B, C or D, not '" + letter + "'.");
+	}
+};
+
+// Returns the names of the files within a folder of the project, looking through subfolders as well.
+EventLinter.prototype.__fileNames = function (folder) {
+	let filepath = path.join(this.projectDir, folder);
+	if (!fs.existsSync(filepath)) { return []; }
+	return EventNodeContext.findEventFiles(filepath).map(function (f) { return path.basename(f); });
+};
+
+// Reports the error a database lookup throws, if it throws one.
+EventLinter.prototype.__checkData = function (node, lookup) {
+	try {
+		lookup(this.context.EventReader);
+	} catch (e) {
+		this.__report(node, e);
+	}
+};
+
+//=============================================================================
+//  Command Line
+//=============================================================================
+
+if (require.main === module) {
+	let projectDir = path.resolve(process.argv[2] || ".");
+	let problems = new EventLinter(projectDir).lintAll();
+	problems.forEach(function (p) { console.log(p); });
+	console.log(problems.length + (problems.length === 1 ? " problem" : " problems") + " found.");
+	process.exitCode = problems.length > 0 ? 1 : 0;
+}
+
+module.exports = EventLinter;
@@ -0,0 +1,191 @@
+//=============================================================================
+//  RunEventTests.js
+//=============================================================================
+
+/*
+* Version v1.0.0
+* Last updated 10/19/26
+*/
+
+/*
+* @author DemiDawn
+*
+* A Node.js command that runs every case in cases.json against the event scripts
+* in the project folder next to it, and exits with 1 if any of them fail.
+*
+*     node tests/RunEventTests.js [--write] [name ...]
+*
+* Naming cases only runs those. With --write, the transcripts played are stored
+* as the expected ones, rather than compared. Look them over before committing.
+
+
+  ** Cases *
+
+Every case has a name, and is one of:
+
+{ "name": "Basics", "script": "js/events/Basics.txt", "options": { "answers": [0] } }
+
+Plays the script through the EventTestHarness with the options given, and
+compares the transcript with expected/<name>.json. A case can expect another's
+transcript by naming it, e.g. "expected": "Basics", such as one playing the same
+script compiled, with "options": { "compiled": true }. Those are only ever compared.
+
+{ "name": "Unclosed", "script": "js/events/Unclosed.txt", "error": "js/events/Unclosed.txt:1: SyntaxError:  ..." }
+
+Expects the script to stop with the error given, as it reads when printed.
+
+{ "name": "EscapesRoundTrip", "roundTrip": "js/events/Escapes.txt" }
+
+Compiles the script to RMMV commands, then decompiles those, expecting to get
+the script back exactly as it was.
+
+{ "name": "JumpsDecompiled", "decompile": "js/events/Jumps.txt" }
+
+Compiles the script, then compares what it decompiles to with expected/<name>.txt.
+A JSON list of RMMV commands, like "lists/Jump.json", is decompiled as it is.
+
+{ "name": "BareNot", "lint": "js/events/Comparisons.txt", "problems": ["js/events/Comparisons.txt:4: ..."] }
+
+Lints the script, expecting exactly the problems given, as the linter prints them.
+
+Errors are from playing the script, or from decompiling it if the case names
+one to decompile. Scripts and errors can pick up from a saved reader state
+instead of the top of the script, by naming a file holding one, e.g.
+"state": "states/Version1.json".
+
+Paths are from the project folder, which the cases run in. Behavior that changes
+should come with a case of its own.
+*/
+
+//=============================================================================
+//  Node Meta
+//=============================================================================
+
+let fs = require('fs');
+let path = require('path');
+let EventTestHarness = require('../EventTestHarness.js');
+let EventCompiler = require('../CompileEventScripts.js').EventCompiler;
+let EventDecompiler = require('../DecompileRMMVEvents.js');
+let EventLinter = require('../LintEventScripts.js');
+
+let projectDir = path.join(__dirname, "project");
+let expectedDir = path.join(__dirname, "expected");
+let casesFile = path.join(__dirname, "cases.json");
+let jsonSpacing = 4;
+
+//=============================================================================
+//  Runner
+//=============================================================================
+
+// Runs a case, returning a list of what went wrong with it. Empty if it passed.
+function runCase(theCase, write) {
+	let kind = Object.keys(caseKinds).find(function (key) { return theCase.hasOwnProperty(key); }) || "script";
+	return caseKinds[kind](theCase, write);
+}
+
+// Prep the kinds wrapper. Each is keyed by the field that marks a case as its kind,
+// and is given the case along with whether to store what it got rather than compare it.
+let caseKinds = {};
+
+caseKinds.error = function (theCase) {
+	try {
+		if (theCase.decompile) { __decompile(theCase); } else { __play(theCase); }
+	} catch (e) {
+		return String(e) === theCase.error ? [] : ["expected the error\n    " + theCase.error + "\n    but got\n    " + String(e)];
+	}
+	return ["expected the error\n    " + theCase.error + "\n    but the script finished."];
+};
+
+caseKinds.script = function (theCase, write) {
+	let transcript = __play(theCase);
+	let expectedFile = path.join(expectedDir, (theCase.expected || theCase.name) + ".json");
+	if (write && !theCase.expected) {
+		fs.writeFileSync(expectedFile, JSON.stringify(transcript, null, jsonSpacing) + "\n");
+		return [];
+	}
+	if (!fs.existsSync(expectedFile)) {
+		return ["there's no expected transcript. Run with --write to store one."];
+	}
+	return EventTestHarness.compareTranscripts(transcript, JSON.parse(fs.readFileSync(expectedFile, "utf8")));
+};
+
+caseKinds.roundTrip = function (theCase) {
+	let list = new EventCompiler(projectDir).compileFile(path.resolve(theCase.roundTrip));
+	let text = new EventDecompiler(projectDir).decompileList(list);
+	let original = fs.readFileSync(theCase.roundTrip, "utf8");
+	return text === original ? [] : ["expected to decompile back to\n" + original + "    but got\n" + text];
+};
+
+caseKinds.decompile = function (theCase, write) {
+	let text = __decompile(theCase);
+	let expectedFile = path.join(expectedDir, theCase.name + ".txt");
+	if (write) {
+		fs.writeFileSync(expectedFile, text);
+		return [];
+	}
+	if (!fs.existsSync(expectedFile)) {
+		return ["there's no expected script. Run with --write to store one."];
+	}
+	let expected = fs.readFileSync(expectedFile, "utf8");
+	return text === expected ? [] : ["expected to decompile to\n" + expected + "    but got\n" + text];
+};
+
+caseKinds.lint = function (theCase) {
+	let linter = new EventLinter(projectDir);
+	linter.lintFile(path.resolve(theCase.lint));
+	let problems = JSON.stringify(linter.problems, null, jsonSpacing);
+	let expected = JSON.stringify(theCase.problems, null, jsonSpacing);
+	return problems === expected ? [] : ["expected the problems\n" + expected + "\n    but got\n" + problems];
+};
+
+// Plays a case's script, returning its transcript.
+function __play(theCase) {
+	let options = Object.assign({ projectDir: projectDir }, theCase.options || {});
+	if (theCase.state) { options.state = JSON.parse(fs.readFileSync(path.join(projectDir, theCase.state), "utf8")); }
+	return EventTestHarness.runEvent(theCase.script, options);
+}
+
+// Decompiles a case's list of RMMV commands, compiling it first if it's a script. Returns the text.
+function __decompile(theCase) {
+	let file = theCase.decompile;
+	let list = file.endsWith(".json") ? JSON.parse(fs.readFileSync(file, "utf8")) : new EventCompiler(projectDir).compileFile(path.resolve(file));
+	return new EventDecompiler(projectDir).decompileList(list, file);
+}
+
+//=============================================================================
+//  Command Line
+//=============================================================================
+
+if (require.main === module) {
+	let argv = process.argv.slice(2);
+	let write = argv.includes("--write");
+	let names = argv.filter(function (arg) { return arg !== "--write"; });
+
+	// Error messages name files from the project folder, so they read the same wherever this is run from.
+	let cases = JSON.parse(fs.readFileSync(casesFile, "utf8"));
+	process.chdir(projectDir);
+
+	let failed = 0;
+	cases.forEach(function (theCase) {
+		if (names.length > 0 && !names.includes(theCase.name)) { return; }
+
+		let problems = [];
+		try {
+			problems = runCase(theCase, write);
+		} catch (e) {
+			problems = ["threw " + String(e)];
+		}
+
+		console.log((problems.length === 0 ? "pass  " : "FAIL  ") + theCase.name);
+		problems.forEach(function (p) { console.log("    " + p); });
+		failed += problems.length > 0 ? 1 : 0;
+	});
+
+	console.log(failed === 0 ? "All cases passed." : failed + " cases failed.");
+	process.exitCode = failed > 0 ? 1 : 0;
+}
+
+module.exports = {
+	runCase: runCase,
+	caseKinds: caseKinds
+};